@@ -0,0 +1,92 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import zlib from 'zlib';
+import through from 'through2';
+import FileHelper from './file-helper.babel.js';
+
+export default class AssetCompressor {
+  /**
+   * Construct our instance by passing the gzip and brotli compression levels and
+   * the minimum file size (in bytes) worth compressing.
+   *
+   * @param {Number}        gzipLevel
+   * @param {Number}        brotliLevel
+   * @param {Number}        threshold
+   * @param {DefaultLogger} logger
+   */
+  constructor (gzipLevel = 9, brotliLevel = 11, threshold = 1024, logger = null) {
+    this.gzipLevel = gzipLevel;
+    this.brotliLevel = brotliLevel;
+    this.threshold = threshold;
+    this.logger = logger;
+  }
+
+  /**
+   * Create a transform stream that emits ".gz" and ".br" siblings of each file
+   * at least as large as the threshold (the original files are not passed on).
+   * Brotli siblings are skipped (with a warning) if the runtime lacks brotli
+   * support.
+   *
+   * @return {Stream}
+   */
+  stream () {
+    let self = this;
+
+    if (!FileHelper.isBrotliSupported() && self.logger) {
+      self.logger.warning('Brotli is not supported by the running Node.js %s; only gzip files are written', process.version);
+    }
+
+    return through.obj(function (file, encoding, callback) {
+      if (file.isNull() || file.contents.length < self.threshold) {
+        return callback();
+      }
+
+      this.push(self::compressed(file, '.gz', zlib.gzipSync(file.contents, {
+        level: self.gzipLevel
+      })));
+
+      if (FileHelper.isBrotliSupported()) {
+        this.push(self::compressed(file, '.br', zlib.brotliCompressSync(file.contents, {
+          params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: self.brotliLevel
+          }
+        })));
+      }
+
+      callback();
+    });
+  }
+}
+
+/**
+ * Create a compressed sibling of the passed file.
+ *
+ * @param {File}   file
+ * @param {String} ext
+ * @param {Buffer} contents
+ *
+ * @return {File}
+ */
+function compressed (file, ext, contents) {
+  let sibling = file.clone({
+    contents: false
+  });
+
+  sibling.path = file.path + ext;
+  sibling.contents = contents;
+
+  if (this.logger) {
+    this.logger.debug('Compressed "%s" (%d -> %d bytes)', file.relative + ext, file.contents.length, contents.length);
+  }
+
+  return sibling;
+}
@@ -0,0 +1,163 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import path from 'path';
+import crypto from 'crypto';
+import through from 'through2';
+import FileHelper from './file-helper.babel.js';
+
+let sprintf = require('sprintf-js').sprintf;
+
+export default class AssetIntegrity {
+  /**
+   * Construct our instance by passing the web root directory (recorded paths are
+   * relative to it) and the subresource integrity hash algorithm.
+   *
+   * @param {String}        webRoot
+   * @param {String}        algorithm
+   * @param {DefaultLogger} logger
+   */
+  constructor (webRoot, algorithm = 'sha384', logger = null) {
+    this.webRoot = path.resolve(webRoot);
+    this.algorithm = algorithm;
+    this.logger = logger;
+    this.hashes = {};
+  }
+
+  /**
+   * Create a stream that records the integrity hash of each file accepted by
+   * the passed filter, under the name returned by the passed rename function.
+   * Files are consumed (not passed on).
+   *
+   * @param {Function}      filter
+   * @param {Function}      rename
+   * @param {DefaultLogger} logger
+   *
+   * @return {Stream}
+   */
+  stream (filter = () => true, rename = (name) => name, logger = this.logger) {
+    let self = this;
+
+    self.hashes = {};
+
+    return through.obj(function (file, encoding, callback) {
+      if (file.isNull() || !filter(file)) {
+        return callback();
+      }
+
+      let name = rename(FileHelper.relativePath(self.webRoot, file.path));
+
+      self.hashes[name] = self.algorithm + '-' + crypto.createHash(self.algorithm).update(file.contents).digest('base64');
+
+      if (logger) {
+        logger.debug('Computed integrity of "%s": %s', name, self.hashes[name]);
+      }
+
+      callback();
+    });
+  }
+
+  /**
+   * Write the recorded integrity hashes to a JSON file.
+   *
+   * @param {String}        file
+   * @param {DefaultLogger} logger
+   *
+   * @return {AssetIntegrity}
+   */
+  writeJson (file, logger = this.logger) {
+    this::writeFile(file, JSON.stringify(this::sortedHashes(), null, 2) + '\n', logger);
+
+    return this;
+  }
+
+  /**
+   * Write a Twig partial containing a link or script tag for each recorded file
+   * (stylesheets first), including integrity and crossorigin attributes. The
+   * href template receives the web root relative path through its "%s". Files
+   * whose base name is in the passed order list are written first, in that
+   * order, so scripts can be loaded after those they depend on. Files whose base
+   * name is in the passed exclude list (such as lazily loaded scripts) get no tag
+   * but keep their hash in the JSON file.
+   *
+   * @param {String}        file
+   * @param {String}        href
+   * @param {String}        crossorigin
+   * @param {Array}         order
+   * @param {Array}         exclude
+   * @param {DefaultLogger} logger
+   *
+   * @return {AssetIntegrity}
+   */
+  writeTwig (file, href = '{{ asset(\'%s\') }}', crossorigin = 'anonymous', order = [], exclude = [], logger = this.logger) {
+    let hashes = this::sortedHashes();
+    let names = this::orderNames(Object.keys(hashes), order).filter((n) => exclude.indexOf(path.basename(n)) === -1);
+    let lines = ['{# This file is generated by the gulp runner; do not edit it manually. #}'];
+
+    names.filter((n) => path.extname(n) === '.css').forEach(function (n) {
+      lines.push(sprintf('<link rel="stylesheet" href="%s" integrity="%s" crossorigin="%s">', sprintf(href, n), hashes[n], crossorigin));
+    });
+
+    names.filter((n) => path.extname(n) === '.js').forEach(function (n) {
+      lines.push(sprintf('<script src="%s" integrity="%s" crossorigin="%s"></script>', sprintf(href, n), hashes[n], crossorigin));
+    });
+
+    this::writeFile(file, lines.join('\n') + '\n', logger);
+
+    return this;
+  }
+}
+
+/**
+ * Return the recorded hashes sorted by file name.
+ *
+ * @return {Object}
+ */
+function sortedHashes () {
+  return Object.keys(this.hashes).sort().reduce(function (sorted, n) {
+    sorted[n] = this.hashes[n];
+    return sorted;
+  }.bind(this), {});
+}
+
+/**
+ * Sort the names whose base name is in the order list by their position in it,
+ * ahead of the others (which keep their order).
+ *
+ * @param {Array} names
+ * @param {Array} order
+ *
+ * @return {Array}
+ */
+function orderNames (names, order) {
+  let rank = function (name) {
+    let i = order.indexOf(path.basename(name));
+
+    return i === -1 ? order.length : i;
+  };
+
+  return names.map((name, i) => [rank(name), i, name]).sort((a, b) => a[0] - b[0] || a[1] - b[1]).map((n) => n[2]);
+}
+
+/**
+ * Write file contents, creating the parent directory if required.
+ *
+ * @param {String}        file
+ * @param {String}        contents
+ * @param {DefaultLogger} logger
+ */
+function writeFile (file, contents, logger) {
+  FileHelper.writeFile(file, contents);
+
+  if (logger) {
+    logger.info('Wrote asset integrity file: %s', file);
+  }
+}
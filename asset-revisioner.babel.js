@@ -0,0 +1,177 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import path from 'path';
+import crypto from 'crypto';
+import through from 'through2';
+import FileHelper from './file-helper.babel.js';
+
+export default class AssetRevisioner {
+  /**
+   * Construct our instance by passing the web root directory (manifest keys and
+   * values are relative to it) and the length of the content hash.
+   *
+   * @param {String}  webRoot
+   * @param {Number}  hashLength
+   * @param {DefaultLogger} logger
+   */
+  constructor (webRoot, hashLength = 10, logger = null) {
+    this.webRoot = path.resolve(webRoot);
+    this.hashLength = hashLength;
+    this.logger = logger;
+    this.revisions = {};
+  }
+
+  /**
+   * Forget the revisions recorded by previous runs.
+   *
+   * @return {AssetRevisioner}
+   */
+  reset () {
+    this.revisions = {};
+
+    return this;
+  }
+
+  /**
+   * Returns true if the file name already contains a content hash.
+   *
+   * @param {String} file
+   *
+   * @return {Boolean}
+   */
+  isRevisioned (file) {
+    return new RegExp('\\.[0-9a-f]{' + this.hashLength + '}\\.[^.]+$').test(file);
+  }
+
+  /**
+   * Return the file name with its content hash (if any) removed.
+   *
+   * @param {String} file
+   *
+   * @return {String}
+   */
+  original (file) {
+    return file.replace(new RegExp('\\.[0-9a-f]{' + this.hashLength + '}(\\.[^.]+)$'), '$1');
+  }
+
+  /**
+   * Create a transform stream that emits a content-hashed copy of each file,
+   * recording the original to revisioned path mapping. References to already
+   * revisioned files found within stylesheet url() values are rewritten first.
+   * Files rejected by the passed filter are consumed (not passed on).
+   *
+   * @param {Function}      filter
+   * @param {DefaultLogger} logger
+   *
+   * @return {Stream}
+   */
+  stream (filter = () => true, logger = this.logger) {
+    let self = this;
+
+    return through.obj(function (file, encoding, callback) {
+      if (file.isNull() || self.isRevisioned(file.path) || !filter(file)) {
+        return callback();
+      }
+
+      let revised = file.clone();
+
+      if (path.extname(file.path) === '.css') {
+        revised.contents = Buffer.from(self::rewriteUrls(file.contents.toString(), file.path));
+      }
+
+      revised.path = self::buildRevisionedPath(file.path, revised.contents);
+      self.revisions[FileHelper.relativePath(self.webRoot, file.path)] = FileHelper.relativePath(self.webRoot, revised.path);
+
+      if (logger) {
+        logger.debug('Revisioned "%s" as "%s"', FileHelper.relativePath(self.webRoot, file.path), path.basename(revised.path));
+      }
+
+      callback(null, revised);
+    });
+  }
+
+  /**
+   * Write the revisions recorded since the last reset to a JSON manifest (the
+   * format read by the Symfony asset component's JSON manifest version
+   * strategy), replacing any entries written by previous runs.
+   *
+   * @param {String} file
+   *
+   * @return {Object}
+   */
+  writeManifest (file) {
+    let manifest = Object.keys(this.revisions).sort().reduce(function (sorted, name) {
+      sorted[name] = this.revisions[name];
+      return sorted;
+    }.bind(this), {});
+
+    FileHelper.writeJson(file, manifest);
+
+    return manifest;
+  }
+}
+
+/**
+ * Build the revisioned path by inserting the content hash before the extension.
+ *
+ * @param {String} file
+ * @param {Buffer} contents
+ *
+ * @return {String}
+ */
+function buildRevisionedPath (file, contents) {
+  let hash = crypto.createHash('md5').update(contents).digest('hex').slice(0, this.hashLength);
+  let ext = path.extname(file);
+
+  return path.join(path.dirname(file), path.basename(file, ext) + '.' + hash + ext);
+}
+
+/**
+ * Rewrite url() references to revisioned files within stylesheet contents.
+ *
+ * @param {String} contents
+ * @param {String} file
+ *
+ * @return {String}
+ */
+function rewriteUrls (contents, file) {
+  return contents.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, function (match, quote, ref) {
+    let [target, suffix] = this::splitUrlSuffix(ref);
+
+    if (/^(data:|[a-z]+:\/\/|\/\/)/i.test(target)) {
+      return match;
+    }
+
+    let resolved = target.charAt(0) === '/' ? path.join(this.webRoot, target) : path.resolve(path.dirname(file), target);
+    let revision = this.revisions[FileHelper.relativePath(this.webRoot, resolved)];
+
+    if (!revision) {
+      return match;
+    }
+
+    return 'url(' + quote + target.replace(/[^/]+$/, path.basename(revision)) + suffix + quote + ')';
+  }.bind(this));
+}
+
+/**
+ * Split an url into its path and its query string and/or fragment.
+ *
+ * @param {String} ref
+ *
+ * @return {Array}
+ */
+function splitUrlSuffix (ref) {
+  let i = ref.search(/[?#]/);
+
+  return i === -1 ? [ref, ''] : [ref.slice(0, i), ref.slice(i)];
+}
+
@@ -0,0 +1,185 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import glob from 'glob';
+import FileHelper from './file-helper.babel.js';
+
+export default class BuildCache {
+  /**
+   * Construct our instance by passing the cache directory and a salt (such as
+   * the serialized config) that is part of every key.
+   *
+   * @param {String}        cacheDir
+   * @param {String}        salt
+   * @param {DefaultLogger} logger
+   */
+  constructor (cacheDir, salt = '', logger = null) {
+    this.cacheDir = cacheDir;
+    this.salt = salt;
+    this.logger = logger;
+  }
+
+  /**
+   * Create a cache key from the contents of the files matched by the passed
+   * globs and any extra values.
+   *
+   * @param {Array} globs
+   * @param {*...}  extra
+   *
+   * @return {String}
+   */
+  key (globs, ...extra) {
+    let hash = crypto.createHash('sha1').update(this.salt).update(JSON.stringify(extra));
+
+    this::expandGlobs(globs).forEach(function (file) {
+      hash.update(file).update(fs.readFileSync(file));
+    });
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Returns true if the key stored for the named task matches the passed key and
+   * all of the passed output files exist.
+   *
+   * @param {String} name
+   * @param {String} key
+   * @param {Array}  outputs
+   *
+   * @return {Boolean}
+   */
+  isFresh (name, key, outputs = []) {
+    if (this::readKey(name) !== key) {
+      return false;
+    }
+
+    return outputs.every(function (file) {
+      return fs.existsSync(file);
+    });
+  }
+
+  /**
+   * Store the key for the named task (logged as part of that task).
+   *
+   * @param {String} name
+   * @param {String} key
+   *
+   * @return {BuildCache}
+   */
+  store (name, key) {
+    this::ensureCacheDir();
+    fs.writeFileSync(this::buildKeyFile(name), key);
+
+    if (this.logger) {
+      this.logger.child(name).debug('Stored build cache key for "%s": %s', name, key);
+    }
+
+    return this;
+  }
+
+  /**
+   * Return the dependency files recorded for the named task by its last run.
+   *
+   * @param {String} name
+   *
+   * @return {Array}
+   */
+  dependencies (name) {
+    return FileHelper.readJson(this::buildKeyFile(name, '.deps.json'), []);
+  }
+
+  /**
+   * Record the dependency files of the named task, to be part of its inputs on
+   * the next run.
+   *
+   * @param {String} name
+   * @param {Array}  files
+   *
+   * @return {BuildCache}
+   */
+  storeDependencies (name, files) {
+    FileHelper.writeJson(this::buildKeyFile(name, '.deps.json'), files);
+
+    return this;
+  }
+
+  /**
+   * Return the path of a named file within the cache directory.
+   *
+   * @param {String} name
+   *
+   * @return {String}
+   */
+  file (name) {
+    this::ensureCacheDir();
+
+    return path.join(this.cacheDir, name);
+  }
+}
+
+/**
+ * Expand globs into a sorted list of unique file paths.
+ *
+ * @param {Array} globs
+ *
+ * @return {Array}
+ */
+function expandGlobs (globs) {
+  let files = [].concat(globs).reduce(function (found, pattern) {
+    return found.concat(glob.sync(pattern, {
+      nodir: true
+    }));
+  }, []);
+
+  return files.filter(function (f, i) {
+    return files.indexOf(f) === i;
+  }).sort();
+}
+
+/**
+ * Read the stored key for the named task.
+ *
+ * @param {String} name
+ *
+ * @return {String|null}
+ */
+function readKey (name) {
+  try {
+    return fs.readFileSync(this::buildKeyFile(name), {
+      encoding: 'utf8'
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the path of the key file (or the file with the passed suffix) for the
+ * named task.
+ *
+ * @param {String} name
+ * @param {String} suffix
+ *
+ * @return {String}
+ */
+function buildKeyFile (name, suffix = '.key') {
+  return path.join(this.cacheDir, name.replace(/[^a-z0-9_-]/gi, '_') + suffix);
+}
+
+/**
+ * Create the cache directory (and its missing parents) if it does not exist.
+ */
+function ensureCacheDir () {
+  FileHelper.createDirectory(this.cacheDir);
+}
@@ -0,0 +1,143 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import path from 'path';
+import through from 'through2';
+import FileHelper from './file-helper.babel.js';
+
+export default class ChunkReporter {
+  /**
+   * Construct our instance by passing the directory recorded module paths are
+   * relative to.
+   *
+   * @param {String}        rootDir
+   * @param {DefaultLogger} logger
+   */
+  constructor (rootDir, logger) {
+    this.rootDir = path.resolve(rootDir);
+    this.logger = logger;
+    this.chunks = {};
+  }
+
+  /**
+   * Create a stream to insert into a browserify pack pipeline that records the
+   * files of the module rows passing through it (rows are passed on). The
+   * modules previously recorded for the chunk are forgotten.
+   *
+   * @param {String}   chunk
+   * @param {Function} filter
+   *
+   * @return {Stream}
+   */
+  stream (chunk, filter = () => true) {
+    let self = this;
+
+    self.chunks[chunk] = [];
+
+    return through.obj(function (row, encoding, callback) {
+      if (row.file && filter(row.file)) {
+        self::addModule(chunk, row.file);
+      }
+
+      callback(null, row);
+    });
+  }
+
+  /**
+   * Set the files recorded as modules of the named chunk.
+   *
+   * @param {String} chunk
+   * @param {Array}  files
+   *
+   * @return {ChunkReporter}
+   */
+  set (chunk, files) {
+    this.chunks[chunk] = [];
+
+    files.forEach(function (file) {
+      this::addModule(chunk, file);
+    }.bind(this));
+
+    return this;
+  }
+
+  /**
+   * Return the modules recorded in more than one chunk, mapped to those chunks.
+   *
+   * @param {Object} report
+   *
+   * @return {Object}
+   */
+  duplicates (report = this.chunks) {
+    let found = {};
+
+    Object.keys(report).forEach(function (chunk) {
+      report[chunk].forEach(function (name) {
+        found[name] = (found[name] || []).concat(chunk);
+      });
+    });
+
+    return Object.keys(found).sort().reduce(function (duplicates, name) {
+      if (found[name].length > 1) {
+        duplicates[name] = found[name];
+      }
+
+      return duplicates;
+    }, {});
+  }
+
+  /**
+   * Merge the recorded chunks into the report file (chunks not built during this
+   * run keep their previous entry), log a summary and warn about duplicated
+   * modules. Returns the written report.
+   *
+   * @param {String}        file
+   * @param {DefaultLogger} logger
+   *
+   * @return {Object}
+   */
+  write (file, logger = this.logger) {
+    let report = Object.assign(FileHelper.readJson(file), this.chunks);
+    let sorted = Object.keys(report).sort().reduce(function (s, chunk) {
+      s[chunk] = report[chunk];
+      return s;
+    }, {});
+    let duplicates = this.duplicates(sorted);
+
+    FileHelper.writeJson(file, sorted);
+
+    Object.keys(sorted).forEach(function (chunk) {
+      logger.info('Chunk "%s" contains %d module(s)', chunk, sorted[chunk].length);
+    });
+
+    Object.keys(duplicates).forEach(function (name) {
+      logger.warning('Module "%s" is included in several chunks: %s', name, duplicates[name].join(', '));
+    });
+
+    return sorted;
+  }
+}
+
+/**
+ * Record a file as a module of the named chunk.
+ *
+ * @param {String} chunk
+ * @param {String} file
+ */
+function addModule (chunk, file) {
+  let name = FileHelper.relativePath(this.rootDir, file);
+  let modules = this.chunks[chunk] || [];
+
+  if (modules.indexOf(name) === -1) {
+    this.chunks[chunk] = modules.concat(name).sort();
+  }
+}
+
@@ -11,6 +11,8 @@
 'use strict';
 
 import fs from 'fs';
+import path from 'path';
+import ConfigValidator from './config-validator.babel.js';
 
 export default class ConfigBuilder {
   /**
@@ -18,14 +20,68 @@ export default class ConfigBuilder {
    *
    * @param {String} configFile
    * @param {DefaultLogger} logger
+   * @param {Object} args
    */
-  constructor (configFile, logger) {
+  constructor (configFile, logger, args = {}) {
     this.logger = logger;
-    this.configObject = {};
+    this.configArgs = args;
+    this.packageFile = './package.json';
+    this.packageObject = null;
+    this.configFile = configFile;
     this.configCached = {};
+    this.resolving = [];
+    this.traceSteps = null;
     this.configFileDefault = './.gulp/default-config.json';
+    this.configFileUser = './.gulp.json';
+    this.configFileLocal = './.gulp.local.json';
 
-    this::loadConfig(configFile);
+    this::initialize();
+  }
+
+  /**
+   * Reload all configuration files and clear the value cache. The previous
+   * configuration is kept if the reloaded configuration fails to load.
+   *
+   * @throws {Error}
+   *
+   * @return {ConfigBuilder}
+   */
+  reload () {
+    let previous = {
+      configObject: this.configObject,
+      configLayers: this.configLayers,
+      configOrigins: this.configOrigins,
+      profile: this.profile,
+      strict: this.strict
+    };
+
+    try {
+      this::initialize();
+    } catch (e) {
+      Object.assign(this, previous);
+      throw e;
+    }
+
+    this.configCached = {};
+    this.logger.info('Reloaded configuration from %d file(s)', this.configLayers.length);
+
+    return this;
+  }
+
+  /**
+   * Get the list of configuration files that are (or, if created, would be)
+   * loaded, including any extended configuration files.
+   *
+   * @returns {Array}
+   */
+  files () {
+    let files = [this.configFileDefault, this.configFile || this.configFileUser, this.configFileLocal].concat(this.configLayers.map(function (l) {
+      return l.file;
+    }));
+
+    return files.filter(function (f, i) {
+      return files.indexOf(f) === i;
+    });
   }
 
   /**
@@ -61,7 +117,7 @@ export default class ConfigBuilder {
     idx = this::buildIndex(ctx, idx);
     val = this::lookupCachedValue(idx, opt);
 
-    if (val) {
+    if (val !== undefined) {
       return val;
     }
 
@@ -72,50 +128,429 @@ export default class ConfigBuilder {
 
     return val;
   }
+
+  /**
+   * Returns true if the requested index exists in config (with a non-null value).
+   *
+   * @param {string} ctx
+   * @param {string} idx
+   *
+   * @returns {Boolean}
+   */
+  has (ctx, idx) {
+    try {
+      this::resolveValue(this::buildIndex(ctx, idx));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve the requested value (bypassing the cache) and return each of the
+   * placeholder substitution steps performed while resolving it.
+   *
+   * @param {string} ctx
+   * @param {string} idx
+   *
+   * @returns {Array}
+   */
+  trace (ctx, idx) {
+    let steps = this.traceSteps = [];
+
+    try {
+      this::lookup(this::buildIndex(ctx, idx));
+    } finally {
+      this.traceSteps = null;
+    }
+
+    return steps;
+  }
+
+  /**
+   * Get requested value from config without resolving its placeholders.
+   *
+   * @param {string} ctx
+   * @param {string} idx
+   *
+   * @returns {*}
+   */
+  raw (ctx, idx) {
+    return this::resolveValue(this::buildIndex(ctx, idx));
+  }
+
+  /**
+   * Get the origin (config file or profile) of the requested value, or of each
+   * value below it when it is an object, as a map of indexes to origins.
+   *
+   * @param {string} ctx
+   * @param {string} idx
+   *
+   * @returns {Object}
+   */
+  origins (ctx, idx) {
+    idx = this::buildIndex(ctx, idx);
+
+    return Object.keys(this.configOrigins).filter(function (i) {
+      return !idx || i === idx || i.indexOf(idx + '.') === 0;
+    }).reduce(function (origins, i) {
+      origins[i] = this.configOrigins[i];
+      return origins;
+    }.bind(this), {});
+  }
+
+  /**
+   * Get the entire config with all placeholders resolved.
+   *
+   * @returns {Object}
+   */
+  dump () {
+    return Object.keys(this.configObject).reduce(function (resolved, idx) {
+      resolved[idx] = this::lookup(idx);
+      return resolved;
+    }.bind(this), {});
+  }
+}
+
+/**
+ * Load and merge (applying the active profile of each layer) and validate the
+ * configuration.
+ *
+ * @throws {Error}
+ */
+function initialize () {
+  let profile = this.configArgs.profile || process.env.NODE_ENV;
+
+  this.configObject = {};
+  this.configLayers = [];
+  this.configOrigins = {};
+  this.profile = null;
+
+  this::loadConfig(this.configFile, profile);
+  this::selectProfile(profile, !!this.configArgs.profile);
+  this::validateConfig();
+
+  this.strict = this.configArgs['strict-config'] === true || this.configObject.options['strict-placeholders'] === true;
 }
 
 /**
- * Load configObject file.
+ * Load the default, user and local configuration files and merge them (in that
+ * order) into a single configuration object. Later layers take precedence.
+ *
+ * @param {String|Boolean}   file
+ * @param {String|undefined} profile
+ *
+ * @throws {Error}
+ */
+function loadConfig (file = false, profile = undefined) {
+  if (file === false || !this::isFile(file)) {
+    file = this.configFileUser;
+  }
+
+  [
+    [this.configFileDefault, 'default'],
+    [file, 'user'],
+    [this.configFileLocal, 'local']
+  ].forEach(function ([f, context]) {
+    this::loadConfigFile(f, context, profile);
+  }.bind(this));
+
+  if (this.configLayers.length === 0) {
+    this.logger.emergency('Could not load user, local, or default config files.');
+  }
+}
+
+/**
+ * Load configuration object given passed file and context and merge it into
+ * the existing configuration object. The named profile of each layer is merged
+ * right after it, so later layers still take precedence over earlier profiles.
+ * A file that exists but cannot be loaded (malformed JSON, circular or
+ * unresolvable extends) aborts the load.
+ *
+ * @param  {String}           file
+ * @param  {String}           context
+ * @param  {String|undefined} profile
+ *
+ * @throws {Error}
  *
  * @return {Boolean}
  */
-function loadConfig (file = false) {
-  let context;
+function loadConfigFile(file, context, profile) {
+  if (!this::isFile(file)) {
+    this.logger.debug('Skipping %s configuration (not found): %s', context, file);
+    return false;
+  }
+
+  try {
+    this::readConfigWithParents(file, context, []).forEach(function (l) {
+      let strategies = this::extractMergeStrategies(l.layer);
+
+      this.configObject = this::mergeValues(this.configObject, l.layer, strategies, null, l.context + ' (' + l.file + ')');
+      this::applyProfile(profile, l);
+      this.configLayers.push({file: l.file, context: l.context});
+      this.logger.info('Loaded %s configuration: %s', l.context, l.file);
+    }.bind(this));
+    return true;
+  } catch (e) {
+    throw new Error('Could not load ' + context + ' configuration "' + file + '": ' + e.message);
+  }
+}
+
+/**
+ * Read a configuration file and, recursively, the files named by its "extends"
+ * key (a path relative to the extending file or an installed npm package name
+ * resolving to a JSON file). Returns the layers in merge order, parents first.
+ *
+ * @param {String} file
+ * @param {String} context
+ * @param {Array}  chain
+ *
+ * @throws {Error}
+ *
+ * @return {Array}
+ */
+function readConfigWithParents (file, context, chain) {
+  let resolved = path.resolve(file);
+
+  if (chain.indexOf(resolved) !== -1) {
+    throw new Error('Circular config extends: ' + chain.concat(resolved).join(' -> '));
+  }
+
+  let layer = this::readAndParseConfig(file);
+  let parents = [].concat(layer.extends || []);
+
+  delete layer.extends;
+
+  return parents.reduce(function (layers, p) {
+    return layers.concat(this::readConfigWithParents(this::resolveExtends(p, file), 'extended', chain.concat(resolved)));
+  }.bind(this), []).concat({file: file, context: context, layer: layer});
+}
+
+/**
+ * Resolve the file path of an extended configuration.
+ *
+ * @param {String} name
+ * @param {String} from
+ *
+ * @throws {Error}
+ *
+ * @return {String}
+ */
+function resolveExtends (name, from) {
+  if (/^\.{1,2}\//.test(name) || path.isAbsolute(name)) {
+    return path.resolve(path.dirname(from), name);
+  }
+
+  try {
+    return require.resolve(name, {
+      paths: [process.cwd()]
+    });
+  } catch (e) {
+    throw new Error('Could not resolve extended config "' + name + '" from ' + from);
+  }
+}
+
+/**
+ * Merge the named profile from the "profiles" section of a configuration layer
+ * onto the configuration object. Profiles may override any section (and their
+ * "merge" section sets array strategies as for config files).
+ *
+ * @param {string|undefined} name
+ * @param {Object}           l
+ *
+ * @throws {Error}
+ */
+function applyProfile (name, l) {
+  let profiles = l.layer.profiles || {};
 
-  if (file === false || ! fs.statSync(file).isFile()) {
-    file = './.gulp.json';
+  if (!name || !(profiles[name] instanceof Object)) {
+    return;
   }
 
-  if (this::loadConfigFile(file, 'user')) {
+  let layer = JSON.parse(JSON.stringify(profiles[name]));
+  let strategies = this::extractMergeStrategies(layer);
+
+  this.configObject = this::mergeValues(this.configObject, layer, strategies, null, 'profile "' + name + '" of ' + l.context + ' (' + l.file + ')');
+}
+
+/**
+ * Record the named profile as active once the configuration is loaded, failing
+ * if it was explicitly requested but no layer defines it.
+ *
+ * @param {string|undefined} name
+ * @param {Boolean}          explicit
+ *
+ * @throws {Error}
+ */
+function selectProfile (name, explicit) {
+  let profiles = this.configObject.profiles || {};
+
+  if (!name) {
+    this.logger.debug('No build profile selected');
     return;
   }
 
-  if (this::loadConfigFile(this.configFileDefault, 'default')) {
+  if (!(profiles[name] instanceof Object)) {
+    if (explicit) {
+      throw new Error('Unknown build profile "' + name + '" (available: ' + Object.keys(profiles).join(', ') + ')');
+    }
+
+    this.logger.debug('No build profile named "%s" (from NODE_ENV) is defined', name);
     return;
   }
 
-  this.logger.emergency('Could not load user config or default config files.');
+  this.profile = name;
+  this.logger.info('Using build profile: %s', name);
 }
 
 /**
- * Load configuration object given passed file and context.
+ * Returns true if the passed path exists and is a regular file.
  *
- * @param  {String} file
- * @param  {String} context
+ * @param {String} file
  *
- * @return {Boolean}
+ * @returns {Boolean}
  */
-function loadConfigFile(file, context) {
+function isFile (file) {
   try {
-    this.configObject = this::readAndParseConfig(file);
-    this.logger.info('Loaded %s configuration: %s', context, file);
-    return true;
+    return fs.statSync(file).isFile();
   } catch (e) {
-    this.logger.error('%s while loading %s configuration: %s. %s.', e.name, context, file, e.message);
     return false;
   }
 }
 
+/**
+ * Remove the "merge" section from a configuration layer and return it. This
+ * section maps config indexes to the array merge strategy ("replace", "append"
+ * or "prepend") used when the layer is merged onto the previous layers.
+ *
+ * @param {Object} layer
+ *
+ * @returns {Object}
+ */
+function extractMergeStrategies (layer) {
+  let strategies = layer.merge || {};
+
+  delete layer.merge;
+
+  Object.keys(strategies).forEach(function (idx) {
+    if (['replace', 'append', 'prepend'].indexOf(strategies[idx]) === -1) {
+      throw new Error('Invalid merge strategy "' + strategies[idx] + '" for index (' + idx + ')');
+    }
+  });
+
+  return strategies;
+}
+
+/**
+ * Deep merge the layer value onto the base value. Objects are merged by key,
+ * arrays are combined using the strategy configured for their index (defaults
+ * to "replace"), and scalars are replaced. The origin of each merged value is
+ * recorded for later introspection.
+ *
+ * @param {*}           base
+ * @param {*}           layer
+ * @param {Object}      strategies
+ * @param {string|null} idx
+ * @param {string}      origin
+ *
+ * @returns {*}
+ */
+function mergeValues (base, layer, strategies, idx, origin) {
+  if (layer instanceof Array) {
+    this::recordOrigin(idx, origin, base instanceof Array && strategies[idx] && strategies[idx] !== 'replace');
+    return this::mergeArrays(base, layer, strategies[idx]);
+  }
+
+  if (!(layer instanceof Object)) {
+    this::recordOrigin(idx, origin, false);
+    return layer;
+  }
+
+  if (!(base instanceof Object) || base instanceof Array) {
+    this::recordOrigin(idx, null, false);
+    base = {};
+  }
+
+  let merged = Object.assign({}, base);
+
+  Object.keys(layer).forEach(function (property) {
+    merged[property] = this::mergeValues(merged[property], layer[property], strategies, this::buildIndex(idx, property), origin);
+  }.bind(this));
+
+  return merged;
+}
+
+/**
+ * Record the origin of the value at the passed index, removing the origins of
+ * any values it replaces. A null origin only removes the existing origins.
+ *
+ * @param {string|null} idx
+ * @param {string|null} origin
+ * @param {Boolean}     combined
+ */
+function recordOrigin (idx, origin, combined) {
+  if (!idx) {
+    return;
+  }
+
+  Object.keys(this.configOrigins).forEach(function (i) {
+    if (i.indexOf(idx + '.') === 0) {
+      delete this.configOrigins[i];
+    }
+  }.bind(this));
+
+  if (combined && this.configOrigins[idx]) {
+    origin = this.configOrigins[idx] + ' + ' + origin;
+  }
+
+  if (origin === null) {
+    delete this.configOrigins[idx];
+  } else {
+    this.configOrigins[idx] = origin;
+  }
+}
+
+/**
+ * Combine two arrays using the passed strategy.
+ *
+ * @param {*}      base
+ * @param {Array}  layer
+ * @param {string} strategy
+ *
+ * @returns {Array}
+ */
+function mergeArrays (base, layer, strategy = 'replace') {
+  if (!(base instanceof Array) || strategy === 'replace') {
+    return layer.slice();
+  }
+
+  if (strategy === 'prepend') {
+    return layer.concat(base);
+  }
+
+  return base.concat(layer);
+}
+
+/**
+ * Validate the merged configuration against the schema, logging each problem
+ * found and throwing if the configuration is invalid.
+ *
+ * @throws {Error}
+ */
+function validateConfig () {
+  let problems = new ConfigValidator().validate(this.configObject);
+
+  problems.forEach(function (p) {
+    this.logger.error('%s at "%s": expected %s, got %s.%s', p.message, p.pointer, p.expected, p.actual,
+      p.suggestion ? ' Did you mean "' + p.suggestion + '"?' : '');
+  }.bind(this));
+
+  if (problems.length > 0) {
+    this.logger.emergency('Configuration is invalid (%d problem(s) found); aborting before running any tasks.', problems.length);
+    throw new Error('Configuration failed schema validation with ' + problems.length + ' problem(s)');
+  }
+}
+
 /**
  * Read the configObject file.
  *
@@ -135,16 +570,16 @@ function readAndParseConfig (file) {
  * @param {string} idx
  * @param {Array}  opt
  *
- * @return {string|Array|null}
+ * @return {*|undefined}
  */
 function lookupCachedValue (idx, opt) {
   let key = this::buildCacheIndex(idx, opt);
 
-  if (this.configCached[key]) {
+  if (this.configCached.hasOwnProperty(key)) {
     return this.configCached[key];
   }
 
-  return null;
+  return undefined;
 }
 
 /**
@@ -168,9 +603,18 @@ function assignCachedValue (idx, opt, val) {
  * @returns {string|Array|Object}
  */
 function lookup (idx) {
-  this.logger.debug('Resolving "%s"', idx);
+  if (this.resolving.indexOf(idx) !== -1) {
+    throw new Error('Circular placeholder reference: ' + this.resolving.concat(idx).join(' -> '));
+  }
+
+  this.logger.debug('%sResolving "%s"', '  '.repeat(this.resolving.length), idx);
+  this.resolving.push(idx);
 
-  return this::resolveReplacements(this::resolveValue(idx));
+  try {
+    return this::resolveReplacements(this::resolveValue(idx));
+  } finally {
+    this.resolving.pop();
+  }
 }
 
 /**
@@ -186,10 +630,10 @@ function resolveValue (idx) {
   idx.split('.').forEach(function (i) {
     val = val[i];
 
-    if (!val) {
-      throw new Error('Resolution error for index (' + idx + ') at fragment ' + i);
+    if (val === undefined || val === null) {
+      throw new Error('Resolution error for index (' + idx + ') at fragment ' + i + this::describeChain());
     }
-  });
+  }.bind(this));
 
   return val;
 }
@@ -202,12 +646,16 @@ function resolveValue (idx) {
  * @returns {Array|Object|string}
  */
 function resolveReplacements (val) {
+  if (val instanceof Array) {
+    return this::resolveReplacementsForArray(val);
+  }
+
   if (val instanceof Object) {
     return this::resolveReplacementsForObject(val);
   }
 
-  if (val instanceof Array) {
-    return this::resolveReplacementsForArray(val);
+  if (typeof val !== 'string') {
+    return val;
   }
 
   return this::resolveReplacementsForScalar(val);
@@ -227,23 +675,164 @@ function resolveReplacementsForScalar (val) {
   let maxIterations = 20;
   let parsed = val.toString();
 
-  while (true) {
-    search = new RegExp('\\$\{([a-z\.-]+)\}', 'i').exec(parsed);
+  while (search = new RegExp('\\$\{([a-z0-9_\.-]+)(?::-([^${}]*))?\}', 'i').exec(parsed)) {
+    if (i++ >= maxIterations) {
+      this::reportUnresolved(search[0], val, 'iteration limit of ' + maxIterations + ' reached');
+      return parsed;
+    }
 
-    if (!search || search.length < 2 || i++ > maxIterations) {
+    replace = this::lookupPlaceholder(search[1], search[2]);
+
+    if (replace === undefined || replace === null) {
       break;
     }
 
-    replace = this::lookup(search[1]);
+    this::recordTraceStep(val, search[0], replace);
+    parsed = parsed.split(search[0]).join(replace);
+  }
 
-    if (replace) {
-      parsed = parsed.replace(new RegExp(this::regexQuote(search[0]), 'g'), replace);
-    }
+  if (search = /\$\{[^}]*\}/.exec(parsed)) {
+    this::reportUnresolved(search[0], val, 'invalid placeholder syntax');
   }
 
   return parsed;
 }
 
+/**
+ * Record a placeholder substitution step, logging it at debug verbosity.
+ *
+ * @param {string} subject
+ * @param {string} placeholder
+ * @param {*}      replace
+ */
+function recordTraceStep (subject, placeholder, replace) {
+  let idx = this.resolving[this.resolving.length - 1];
+
+  this.logger.debug('%s%s: "%s" => "%s"', '  '.repeat(this.resolving.length), idx, placeholder, replace);
+
+  if (this.traceSteps !== null) {
+    this.traceSteps.push({
+      index: idx,
+      depth: this.resolving.length,
+      subject: subject,
+      placeholder: placeholder,
+      value: replace
+    });
+  }
+}
+
+/**
+ * Report a placeholder that could not be resolved: throws in strict mode and
+ * logs a warning otherwise.
+ *
+ * @param {string} placeholder
+ * @param {string} val
+ * @param {string} reason
+ *
+ * @throws {Error}
+ */
+function reportUnresolved (placeholder, val, reason) {
+  let message = 'Unresolved placeholder "' + placeholder + '" in "' + val + '" (' + reason + ')' + this::describeChain();
+
+  if (this.strict) {
+    throw new Error(message);
+  }
+
+  this.logger.warning(message);
+}
+
+/**
+ * Describe the chain of indexes currently being resolved.
+ *
+ * @returns {string}
+ */
+function describeChain () {
+  if (this.resolving.length === 0) {
+    return '';
+  }
+
+  return ' while resolving ' + this.resolving.join(' -> ');
+}
+
+/**
+ * Lookup the value of a placeholder. Indexes prefixed with "env.", "pkg." or
+ * "arg." are resolved against the environment, the project package.json and
+ * the command-line arguments; all others are resolved against the config. The
+ * fallback (from "${index:-fallback}") is used when the value is not found.
+ *
+ * @param {string}           idx
+ * @param {string|undefined} fallback
+ *
+ * @returns {*}
+ */
+function lookupPlaceholder (idx, fallback) {
+  let val;
+
+  try {
+    val = this::isExternalIndex(idx) ? this::resolveExternalValue(idx) : this::lookup(idx);
+  } catch (e) {
+    if (fallback === undefined) {
+      throw e;
+    }
+  }
+
+  if (val === undefined || val === null) {
+    if (fallback === undefined) {
+      throw new Error('Resolution error for index (' + idx + '): value is not defined and no fallback provided');
+    }
+
+    this.logger.debug('Using fallback "%s" for "%s"', fallback, idx);
+    val = fallback;
+  }
+
+  return val;
+}
+
+/**
+ * Returns true if the index refers to the environment, package or arguments.
+ *
+ * @param {string} idx
+ *
+ * @returns {Boolean}
+ */
+function isExternalIndex (idx) {
+  return ['env', 'pkg', 'arg'].indexOf(idx.split('.')[0]) !== -1;
+}
+
+/**
+ * Find an environment, package or argument value through its index.
+ *
+ * @param {string} idx
+ *
+ * @returns {*}
+ */
+function resolveExternalValue (idx) {
+  let [source, ...fragments] = idx.split('.');
+
+  this.logger.debug('Resolving "%s"', idx);
+
+  if (source === 'env') {
+    return process.env[fragments.join('.')];
+  }
+
+  return fragments.reduce(function (val, i) {
+    return val === undefined || val === null ? undefined : val[i];
+  }, source === 'pkg' ? this::loadPackage() : this.configArgs);
+}
+
+/**
+ * Read and cache the project package.json file.
+ *
+ * @returns {Object}
+ */
+function loadPackage () {
+  if (this.packageObject === null) {
+    this.packageObject = this::readAndParseConfig(this.packageFile);
+  }
+
+  return this.packageObject;
+}
+
 /**
  * Resolve value placeholders on each array element.
  *
@@ -253,7 +842,7 @@ function resolveReplacementsForScalar (val) {
  */
 function resolveReplacementsForArray (val) {
   return val.map(function (v) {
-    return this::resolveReplacementsForScalar(v);
+    return this::resolveReplacements(v);
   }.bind(this));
 }
 
@@ -265,19 +854,13 @@ function resolveReplacementsForArray (val) {
  * @returns {Object}
  */
 function resolveReplacementsForObject (val) {
-  Array.prototype.concat(Object.getOwnPropertyNames(val)).forEach(function (property) {
-    let v = val[property];
-
-    if (v instanceof Object) {
-      val[property] = this::resolveReplacementsForObject(v);
-    } else if (v instanceof Array) {
-      val[property] = this::resolveReplacementsForArray(v);
-    } else if (typeof v === 'string') {
-      val[property] = this::resolveReplacementsForScalar(v);
-    }
+  let resolved = {};
+
+  Object.keys(val).forEach(function (property) {
+    resolved[property] = this::resolveReplacements(val[property]);
   }.bind(this));
 
-  return val;
+  return resolved;
 }
 
 /**
@@ -312,7 +895,8 @@ function buildCacheIndex () {
 }
 
 /**
- * Apply options to resolved config value.
+ * Apply options to resolved config value (left untouched unless a "pre" or
+ * "post" option is passed).
  *
  * @param {string|Array} val
  * @param {Array}        opt
@@ -320,6 +904,10 @@ function buildCacheIndex () {
  * @returns {*}
  */
 function applyOptions (val, opt) {
+  if (!opt || (!opt.pre && !opt.post)) {
+    return val;
+  }
+
   if (val instanceof Array) {
     return this::applyOptionsOnArray(val, opt);
   }
@@ -348,7 +936,8 @@ function applyOptionsOnScalar (val, opt) {
 }
 
 /**
- * Generate final config value by applying passed options to each array element.
+ * Generate final config value by applying passed options to each string array
+ * element (others, such as [name, options] pairs, are left untouched).
  *
  * @param {string} val
  * @param {Array}  opt
@@ -357,17 +946,6 @@ function applyOptionsOnScalar (val, opt) {
  */
 function applyOptionsOnArray (val, opt) {
   return val.map(function (v) {
-    return this::applyOptionsOnScalar(v.toString(), opt);
-  });
-}
-
-/**
- * Prepare value for regex by performing a "regex quote" on it.
- *
- * @param {string} val
- *
- * @returns {*}
- */
-function regexQuote (val) {
-  return val.replace(/[-\\^$*+?.()|[\]{}]/g, '\\$&');
+    return typeof v === 'string' ? this::applyOptionsOnScalar(v, opt) : v;
+  }.bind(this));
 }
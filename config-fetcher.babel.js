@@ -18,6 +18,148 @@ export default class ConfigFetcher {
    */
   constructor (reader) {
     this.reader = reader;
+    this.tasks = [];
+  }
+
+  /**
+   * Register a running task so errors can name the task requesting a value.
+   *
+   * @param {string} name
+   */
+  enterTask (name) {
+    this.tasks.push(name);
+  }
+
+  /**
+   * Unregister a running task.
+   *
+   * @param {string} name
+   */
+  leaveTask (name) {
+    let i = this.tasks.lastIndexOf(name);
+
+    if (i !== -1) {
+      this.tasks.splice(i, 1);
+    }
+  }
+
+  /**
+   * Returns true if the (fully qualified) index exists in config.
+   *
+   * @param {string} index
+   *
+   * @returns {Boolean}
+   */
+  has (index) {
+    return this.reader.has(null, index);
+  }
+
+  /**
+   * Get value from config by its fully qualified index. When the index does not
+   * exist the "default" option is returned if provided, otherwise an error is
+   * thrown naming the task that requested the value.
+   *
+   * @param {string} index
+   * @param {Object} options
+   *
+   * @returns {*}
+   */
+  get (index, options = {}) {
+    if (!this.has(index)) {
+      if (options.hasOwnProperty('default')) {
+        return options.default;
+      }
+
+      throw new Error('Missing required config key "' + index + '"' + this::describeTasks());
+    }
+
+    return this.reader.value(null, index, options);
+  }
+
+  /**
+   * Get boolean value from config. Accepts booleans, 0/1 and the strings
+   * "true", "false", "yes", "no", "on", "off", "1" and "0".
+   *
+   * @param {string} index
+   * @param {Object} options
+   *
+   * @returns {Boolean}
+   */
+  bool (index, options = {}) {
+    let val = this.get(index, options);
+    let str = String(val).toLowerCase();
+
+    if (['true', 'yes', 'on', '1'].indexOf(str) !== -1) {
+      return true;
+    }
+
+    if (['false', 'no', 'off', '0'].indexOf(str) !== -1) {
+      return false;
+    }
+
+    throw this::typeError(index, 'boolean', val);
+  }
+
+  /**
+   * Get integer value from config. Accepts integers and integer strings.
+   *
+   * @param {string} index
+   * @param {Object} options
+   *
+   * @returns {Number}
+   */
+  int (index, options = {}) {
+    let val = this.get(index, options);
+
+    if (Number.isInteger(val)) {
+      return val;
+    }
+
+    if (typeof val === 'string' && /^-?\d+$/.test(val.trim())) {
+      return parseInt(val, 10);
+    }
+
+    throw this::typeError(index, 'integer', val);
+  }
+
+  /**
+   * Get list value from config. Scalars are wrapped in a single element list.
+   *
+   * @param {string} index
+   * @param {Object} options
+   *
+   * @returns {Array}
+   */
+  list (index, options = {}) {
+    let val = this.get(index, options);
+
+    if (val instanceof Array) {
+      return val;
+    }
+
+    if (['string', 'number', 'boolean'].indexOf(typeof val) !== -1) {
+      return [val];
+    }
+
+    throw this::typeError(index, 'list', val);
+  }
+
+  /**
+   * Get map (plain object) value from config.
+   *
+   * @param {string} index
+   * @param {Object} options
+   *
+   * @returns {Object}
+   */
+  map (index, options = {}) {
+    let val = this.get(index, options);
+
+    if (val instanceof Object && !(val instanceof Array)) {
+      return val;
+    }
+
+    throw this::typeError(index, 'map', val);
   }
 
   /**
@@ -29,7 +171,7 @@ export default class ConfigFetcher {
    * @returns {*}
    */
   glob (index, options) {
-    return this.reader.value('globs', index, options);
+    return this.get('globs.' + index, options);
   }
 
   /**
@@ -41,7 +183,7 @@ export default class ConfigFetcher {
    * @returns {*}
    */
   path (index, options) {
-    return this.reader.value('paths', index, options);
+    return this.get('paths.' + index, options);
   }
 
     /**
@@ -53,7 +195,7 @@ export default class ConfigFetcher {
      * @returns {*}
      */
     file (index, options) {
-        return this.reader.value('files', index, options);
+        return this.get('files.' + index, options);
     }
 
     /**
@@ -89,7 +231,21 @@ export default class ConfigFetcher {
    * @returns {*}
    */
   option (index, options) {
-    return this.reader.value('options', index, options);
+    return this.get('options.' + index, options);
+  }
+
+  /**
+   * Returns true if the named pipeline stage (as listed in the "stages" option)
+   * is enabled for the active build profile. Stages default to enabled.
+   *
+   * @param {string} name
+   *
+   * @returns {Boolean}
+   */
+  stage (name) {
+    return this.bool('options.stages.' + name, {
+      default: true
+    });
   }
 
   /**
@@ -126,15 +282,14 @@ export default class ConfigFetcher {
   }
 
   /**
-   * Get option value from config.
+   * Get collection of option values from config.
    *
-   * @param {string} idx
-   * @param {Array}  opt
+   * @param {String...} indexes
    *
    * @returns {Array}
    */
-  options (idx, opt) {
-    return Array.prototype.concat(...idxs.map(this.option.bind(this)))
+  options (...indexes) {
+    return Array.prototype.concat(...indexes.map(this.option.bind(this)));
   }
 
   /**
@@ -181,3 +336,29 @@ export default class ConfigFetcher {
     return this.reader.build('options', ...indexes);
   }
 }
+
+/**
+ * Describe the tasks currently running, for use in error messages.
+ *
+ * @returns {string}
+ */
+function describeTasks () {
+  if (this.tasks.length === 0) {
+    return ' (requested while loading the runner)';
+  }
+
+  return ' (requested by task "' + this.tasks.join('", "') + '")';
+}
+
+/**
+ * Create an error for a config value of an unexpected type.
+ *
+ * @param {string} index
+ * @param {string} expected
+ * @param {*}      val
+ *
+ * @returns {Error}
+ */
+function typeError (index, expected, val) {
+  return new Error('Invalid config value for "' + index + '": expected ' + expected + ', got ' + JSON.stringify(val) + this::describeTasks());
+}
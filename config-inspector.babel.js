@@ -0,0 +1,116 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+export default class ConfigInspector {
+  /**
+   * Construct our instance by passing a ConfigBuilder object.
+   *
+   * @param {ConfigBuilder} reader
+   */
+  constructor (reader) {
+    this.reader = reader;
+  }
+
+  /**
+   * Render the fully resolved config (or the value at the passed index) as a
+   * JSON document or as a tree.
+   *
+   * @param {string}      format
+   * @param {string|null} index
+   *
+   * @returns {string}
+   */
+  dump (format = 'json', index = null) {
+    let val = index ? this.reader.value(null, index) : this.reader.dump();
+
+    if (format === 'tree') {
+      return this::renderTree(val, index || '.');
+    }
+
+    if (format !== 'json') {
+      throw new Error('Unknown config dump format "' + format + '" (available: json, tree)');
+    }
+
+    return JSON.stringify(val, null, 2);
+  }
+
+  /**
+   * Render the resolved value at the passed index, with optional "pre" and
+   * "post" options applied.
+   *
+   * @param {string} index
+   * @param {Object} options
+   *
+   * @returns {string}
+   */
+  get (index, options) {
+    return JSON.stringify(this.reader.value(null, index, options), null, 2);
+  }
+
+  /**
+   * Render an explanation of how the value at the passed index was resolved:
+   * the raw value, the config file each value came from and each placeholder
+   * substitution step.
+   *
+   * @param {string} index
+   *
+   * @returns {string}
+   */
+  explain (index) {
+    let lines = [];
+    let origins = this.reader.origins(null, index);
+    let steps = this.reader.trace(null, index);
+
+    lines.push(index + ' = ' + JSON.stringify(this.reader.value(null, index)));
+    lines.push('  raw: ' + JSON.stringify(this.reader.raw(null, index)));
+    lines.push('  profile: ' + (this.reader.profile || 'none'));
+    lines.push('  sources:');
+
+    Object.keys(origins).forEach(function (i) {
+      lines.push('    ' + i + ' <- ' + origins[i]);
+    });
+
+    lines.push('  steps:' + (steps.length === 0 ? ' none' : ''));
+
+    steps.forEach(function (s) {
+      lines.push('    ' + '  '.repeat(s.depth - 1) + s.index + ': ' + s.placeholder + ' => ' + JSON.stringify(s.value) + ' (in ' + JSON.stringify(s.subject) + ')');
+    });
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Render a value as an indented tree.
+ *
+ * @param {*}      val
+ * @param {string} label
+ * @param {string} prefix
+ *
+ * @returns {string}
+ */
+function renderTree (val, label, prefix = '') {
+  if (!(val instanceof Object)) {
+    return label + ': ' + JSON.stringify(val);
+  }
+
+  let keys = Object.keys(val);
+  let lines = [label];
+
+  keys.forEach(function (k, i) {
+    let last = i === keys.length - 1;
+    let child = this::renderTree(val[k], val instanceof Array ? '[' + k + ']' : k, prefix + (last ? '   ' : '│  '));
+
+    lines.push(prefix + (last ? '└─ ' : '├─ ') + child);
+  }.bind(this));
+
+  return lines.join('\n');
+}
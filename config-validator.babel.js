@@ -0,0 +1,282 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import defaultSchema from './config-schema.json';
+
+export default class ConfigValidator {
+  /**
+   * Construct our instance by passing the schema to validate against.
+   *
+   * @param {Object} schema
+   */
+  constructor (schema = defaultSchema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate the passed configuration object and return the list of problems
+   * found. Each problem is an object with "pointer", "message", "expected" and
+   * "suggestion" properties.
+   *
+   * @param {Object} config
+   *
+   * @returns {Array}
+   */
+  validate (config) {
+    let problems = [];
+
+    this::validateNode(config, this.schema, '', problems);
+
+    return problems;
+  }
+}
+
+/**
+ * Validate a value against a schema node, appending any problems found.
+ *
+ * @param {*}      val
+ * @param {Object} node
+ * @param {string} pointer
+ * @param {Array}  problems
+ */
+function validateNode (val, node, pointer, problems) {
+  node = this::resolveNode(node);
+
+  if (!this::matchesType(val, node.type)) {
+    problems.push({
+      pointer: pointer || '/',
+      message: 'Invalid type',
+      expected: this::describeNode(node),
+      actual: this::describeType(val),
+      suggestion: null
+    });
+    return;
+  }
+
+  if (this::describeType(val) === 'array' && node.items) {
+    val.forEach(function (v, i) {
+      this::validateNode(v, node.items, pointer + '/' + i, problems);
+    }.bind(this));
+  }
+
+  if (this::describeType(val) === 'object') {
+    this::validateProperties(val, node, pointer, problems);
+  }
+}
+
+/**
+ * Validate required, known and additional properties of an object value. Where
+ * additional properties are allowed by a schema, a key that closely matches a
+ * known property is still reported as unknown, as it is most likely misspelled.
+ *
+ * @param {Object} val
+ * @param {Object} node
+ * @param {string} pointer
+ * @param {Array}  problems
+ */
+function validateProperties (val, node, pointer, problems) {
+  let known = Object.keys(node.properties || {});
+  let unknown = Object.keys(val).filter(function (property) {
+    return known.indexOf(property) === -1;
+  });
+
+  (node.required || []).forEach(function (property) {
+    if (val[property] !== undefined) {
+      return;
+    }
+
+    problems.push({
+      pointer: pointer + '/' + this::escapePointer(property),
+      message: 'Missing required key',
+      expected: this::describeNode(node.properties[property] || {}),
+      actual: 'undefined',
+      suggestion: this::suggest(property, unknown)
+    });
+  }.bind(this));
+
+  known.forEach(function (property) {
+    if (val[property] !== undefined) {
+      this::validateNode(val[property], node.properties[property], pointer + '/' + this::escapePointer(property), problems);
+    }
+  }.bind(this));
+
+  unknown.forEach(function (property) {
+    let additional = node.additionalProperties === undefined ? true : node.additionalProperties;
+    let childPointer = pointer + '/' + this::escapePointer(property);
+    let suggestion = this::suggest(property, known);
+
+    if (additional === false || (additional !== true && suggestion !== null)) {
+      problems.push({
+        pointer: childPointer,
+        message: 'Unknown key',
+        expected: 'one of ' + known.join(', '),
+        actual: this::describeType(val[property]),
+        suggestion: suggestion
+      });
+    } else if (additional !== true) {
+      this::validateNode(val[property], additional, childPointer, problems);
+    }
+  }.bind(this));
+}
+
+/**
+ * Resolve "$ref" references of a schema node against the schema definitions.
+ * Properties declared beside a reference are merged into the referenced node.
+ *
+ * @param {Object} node
+ *
+ * @returns {Object}
+ */
+function resolveNode (node) {
+  if (!node.$ref) {
+    return node;
+  }
+
+  let base = this::resolveNode(node.$ref.replace(/^#\//, '').split('/').reduce(function (n, i) {
+    if (!n || !n[i]) {
+      throw new Error('Schema reference (' + node.$ref + ') could not be resolved');
+    }
+
+    return n[i];
+  }, this.schema));
+
+  let resolved = Object.assign({}, base, node, {
+    properties: Object.assign({}, base.properties, node.properties)
+  });
+
+  delete resolved.$ref;
+
+  return resolved;
+}
+
+/**
+ * Returns true if the value matches the schema type (or one of the types).
+ *
+ * @param {*}                 val
+ * @param {string|Array|null} type
+ *
+ * @returns {Boolean}
+ */
+function matchesType (val, type) {
+  if (!type) {
+    return true;
+  }
+
+  return [].concat(type).some(function (t) {
+    if (t === 'integer') {
+      return Number.isInteger(val);
+    }
+
+    return this::describeType(val) === t;
+  }.bind(this));
+}
+
+/**
+ * Describe the type of a value using schema type names.
+ *
+ * @param {*} val
+ *
+ * @returns {string}
+ */
+function describeType (val) {
+  if (val === null) {
+    return 'null';
+  }
+
+  if (val instanceof Array) {
+    return 'array';
+  }
+
+  return typeof val;
+}
+
+/**
+ * Describe the type expected by a schema node.
+ *
+ * @param {Object} node
+ *
+ * @returns {string}
+ */
+function describeNode (node) {
+  node = this::resolveNode(node);
+
+  if (!node.type) {
+    return 'any';
+  }
+
+  if (node.type === 'array' && node.items) {
+    return 'array of ' + this::describeNode(node.items) + 's';
+  }
+
+  return [].concat(node.type).join(' or ');
+}
+
+/**
+ * Escape a property name for use within a JSON pointer.
+ *
+ * @param {string} property
+ *
+ * @returns {string}
+ */
+function escapePointer (property) {
+  return property.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Find the closest candidate to the passed name, if one is close enough.
+ *
+ * @param {string} name
+ * @param {Array}  candidates
+ *
+ * @returns {string|null}
+ */
+function suggest (name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+
+  candidates.forEach(function (c) {
+    let d = this::levenshtein(name.toLowerCase(), c.toLowerCase());
+
+    if (d < bestDistance) {
+      best = c;
+      bestDistance = d;
+    }
+  }.bind(this));
+
+  return best;
+}
+
+/**
+ * Calculate the edit distance between two strings.
+ *
+ * @param {string} a
+ * @param {string} b
+ *
+ * @returns {Number}
+ */
+function levenshtein (a, b) {
+  let row = Array.from({length: b.length + 1}, function (v, i) {
+    return i;
+  });
+
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      let temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+
+  return row[b.length];
+}
@@ -12,6 +12,7 @@
 
 import path from 'path';
 import fs from 'fs';
+import FileHelper from './file-helper.babel.js';
 
 let colors = require('colour');
 let dateFormat = require('dateformat');
@@ -23,18 +24,219 @@ let sprintf = require('sprintf-js').sprintf;
 export default class DefaultLogger
 {
   /**
-   * Configure verbose behavior of logger.
+   * Configure verbose behavior of logger. A null log file defers opening the file
+   * log until configure() is called; messages logged before then are written to
+   * it once opened. The stdio stream ("stdout" or "stderr") is used until then.
    *
    * @param {integer} verbosity
-   * @param {String} logFile
+   * @param {String}  logFile
+   * @param {String}  stream
    */
-  constructor (verbosity = 0, logFile = "/tmp/gulp-runner.log") {
+  constructor (verbosity = 0, logFile = "/tmp/gulp-runner.log", stream = 'stdout') {
     this.setVerbosity(verbosity);
 
-    this.writer = new WriterProxy(
-      new WriterStdIO(),
-      new WriterFile(logFile)
-    );
+    this.tasks = [];
+    this.timings = [];
+    this.scope = null;
+    this.writer = new WriterProxy();
+
+    this.configure({
+      stdio: {
+        stream: stream
+      },
+      file: {
+        format: logFile === null ? false : 'text',
+        path: logFile
+      }
+    });
+
+    this.pending = logFile === null ? [] : null;
+  }
+
+  /**
+   * Set the verbosity (if passed, from -3 for silent to 3 for debug, matching the
+   * "--verbosity" flag) and replace the writers. The "stdio" and "file"
+   * options each set the output format ("text" or "json", or false to disable
+   * the writer) and the minimum "level" name written; the stdio writer also
+   * accepts a "stream" ("stdout" or "stderr") and the file writer a "path" and
+   * the "append", "max-size", "max-age", "retain" and "per-run" options. The
+   * "colors" option enables colors in the stdio text output.
+   *
+   * @param {Object} options
+   *
+   * @return {DefaultLogger}
+   */
+  configure (options = {}) {
+    let stdio = Object.assign({format: 'text', level: 'debug', stream: 'stdout'}, options.stdio);
+    let file = Object.assign({format: 'text', level: 'debug', path: null, append: false, 'max-size': 0, 'max-age': 0, retain: 0, 'per-run': false}, options.file);
+    let writers = [];
+
+    if (options.verbosity !== undefined) {
+      this.setVerbosity(Math.max(-3, Math.min(3, options.verbosity)));
+    }
+
+    this.writer.close();
+
+    if (stdio.format) {
+      writers.push(new WriterStdIO(levelNumber(stdio.level), createFormatter(stdio.format, options.colors !== false), stdio.stream));
+    }
+
+    if (file.format && file.path) {
+      writers.push(new WriterFile(levelNumber(file.level), file.path, createFormatter(file.format, false), {
+        append: file.append,
+        maxSize: file['max-size'],
+        maxAge: file['max-age'],
+        retain: file.retain,
+        perRun: file['per-run']
+      }));
+
+      (this.pending || []).forEach(function (record) {
+        writers[writers.length - 1].write(record);
+      });
+    }
+
+    this.pending = null;
+    this.writer = new WriterProxy(...writers);
+
+    return this;
+  }
+
+  /**
+   * Create a logger that tags its messages with the named task (or never tags
+   * them if false is passed). It shares the writers, verbosity and task timings
+   * of this logger.
+   *
+   * @param {String|false} task
+   *
+   * @return {DefaultLogger}
+   */
+  child (task) {
+    let child = Object.create(this);
+
+    child.scope = task;
+
+    return child;
+  }
+
+  /**
+   * Register a running task and start timing it; messages of loggers that are not
+   * scoped using child() are tagged with the running task while it is the only
+   * one (parallel tasks should log through their own child loggers).
+   *
+   * @param {String} name
+   */
+  enterTask (name) {
+    this.tasks.push(name);
+    this.timings.push({
+      task: name,
+      start: Date.now(),
+      duration: null,
+      status: 'running'
+    });
+  }
+
+  /**
+   * Unregister a running task and record its duration and status.
+   *
+   * @param {String} name
+   * @param {String} status
+   */
+  leaveTask (name, status = 'ok') {
+    let i = this.tasks.lastIndexOf(name);
+    let timing = this.timings.filter((t) => t.task === name && t.status === 'running').pop();
+
+    if (i !== -1) {
+      this.tasks.splice(i, 1);
+    }
+
+    if (timing) {
+      timing.duration = Date.now() - timing.start;
+      timing.status = status;
+    }
+  }
+
+  /**
+   * Write a table of the tasks run (in start order) with their duration and
+   * status.
+   *
+   * @return {DefaultLogger}
+   */
+  summary () {
+    let log = this.child(false);
+    let width = this.timings.reduce((w, t) => Math.max(w, t.task.length), 4);
+    let row = '%-' + width + 's %10s  %s';
+
+    if (this.timings.length === 0) {
+      return this;
+    }
+
+    log.info(row, 'Task', 'Duration', 'Status');
+
+    this.timings.forEach(function (t) {
+      log.info(row, t.task, formatDuration(t.duration), t.status);
+    });
+
+    return this;
+  }
+
+  /**
+   * Drop the timings of the finished tasks, so the next summary only lists the
+   * tasks run (or still running) since.
+   *
+   * @return {DefaultLogger}
+   */
+  resetTimings () {
+    let running = this.timings.filter((t) => t.status === 'running');
+
+    this.timings.splice(0, this.timings.length, ...running);
+
+    return this;
+  }
+
+  /**
+   * Close the writers.
+   *
+   * @return {DefaultLogger}
+   */
+  close () {
+    this.writer.close();
+
+    return this;
+  }
+
+  /**
+   * Normalize the plugin, file, line, column (both 1-based) and message of an
+   * error raised by gulp plugins (sass, postcss, jscs, uglify), browserify,
+   * babelify or tsify. The file is given both as an absolute path and relative
+   * to the project, and the location as a "file:line:column" string.
+   *
+   * @param {Error} err
+   *
+   * @return {Object}
+   */
+  static describeError (err) {
+    let cause = err.cause || {};
+    let loc = err.loc || {};
+    let file = err.fileName || err.file || err.filename || err.relativePath || cause.filename || null;
+    let column = err.column || (loc.column !== undefined ? loc.column + 1 : null) || (cause.col !== undefined ? cause.col + 1 : null);
+    let message = (err.messageOriginal || err.reason || err.message || String(err)).split('\n')[0];
+
+    if (file && message.indexOf(file + ': ') === 0) {
+      message = message.slice(file.length + 2);
+    }
+
+    let error = {
+      plugin: err.plugin || (err._babel ? 'babelify' : null) || err.name || 'Error',
+      path: file ? path.resolve(file) : null,
+      file: file ? FileHelper.relativePath(process.cwd(), file) : null,
+      line: err.lineNumber || err.line || loc.line || cause.line || null,
+      column: column || null,
+      message: message.replace(/^.*?\(\d+,\d+\): /, '')
+    };
+
+    error.location = error.file ? [error.file, error.line, error.column].filter((v) => v !== null).join(':') : '(unknown file)';
+
+    return error;
   }
 
   setVerbosity(level) {
@@ -73,7 +275,7 @@ export default class DefaultLogger
    */
   debug(message, ...replacements) {
     if (this.isVerbose()) {
-      this.writer.write(message, -1, ...replacements);
+      this::log(-1, message, replacements);
     }
 
     return this;
@@ -87,7 +289,7 @@ export default class DefaultLogger
    */
   info(message, ...replacements) {
     if (!this.isQuiet()) {
-      this.writer.write(message, 0, ...replacements);
+      this::log(0, message, replacements);
     }
 
     return this;
@@ -101,7 +303,7 @@ export default class DefaultLogger
    */
   warning(message, ...replacements) {
     if (!this.isQuiet()) {
-      this.writer.write(message, 1, ...replacements);
+      this::log(1, message, replacements);
     }
 
     return this;
@@ -115,7 +317,7 @@ export default class DefaultLogger
    */
   error(message, ...replacements) {
     if (!this.isSilent()) {
-      this.writer.write(message, 2, ...replacements);
+      this::log(2, message, replacements);
     }
 
     return this;
@@ -129,7 +331,7 @@ export default class DefaultLogger
    */
   critical(message, ...replacements) {
     if (!this.isSilent()) {
-      this.writer.write(message, 3, ...replacements);
+      this::log(3, message, replacements);
     }
 
     return this;
@@ -142,9 +344,140 @@ export default class DefaultLogger
    * @param {String...} replacements
    */
   emergency(message, ...replacements) {
-    this.writer.write(message, 4, ...replacements);
+    return this::log(4, message, replacements);
+  }
+}
 
-    return this;
+/**
+ * Create a log record and pass it to the writers (and to the pending records if
+ * the file log is not opened yet).
+ *
+ * @param {Number} level
+ * @param {String} message
+ * @param {Array}  replacements
+ *
+ * @return {DefaultLogger}
+ */
+function log (level, message, replacements) {
+  let error = message instanceof Error ? this::createErrorRecord(message) : null;
+  let record = {
+    time: new Date(),
+    level: level,
+    message: error ? '[%s] %s: %s' : message,
+    replacements: error ? [error.plugin, error.location, error.message] : replacements,
+    task: this.scope !== null ? this.scope || null : this.tasks.length === 1 ? this.tasks[0] : null,
+    error: error
+  };
+
+  if (this.pending) {
+    this.pending.push(record);
+  }
+
+  this.writer.write(record);
+
+  return this;
+}
+
+/**
+ * Format a task duration (in milliseconds) for display.
+ *
+ * @param {Number|null} duration
+ *
+ * @return {String}
+ */
+function formatDuration (duration) {
+  if (duration === null) {
+    return '-';
+  }
+
+  return duration < 1000 ? duration + ' ms' : sprintf('%.2f s', duration / 1000);
+}
+
+/**
+ * Maps a level name to its integer.
+ *
+ * @param {String} name
+ *
+ * @return {Number}
+ */
+function levelNumber (name) {
+  let i = LEVEL_NAMES.indexOf(name);
+
+  if (i === -1) {
+    throw new Error('Unknown log level "' + name + '" (expected one of ' + LEVEL_NAMES.join(', ') + ')');
+  }
+
+  return i - 1;
+}
+
+/**
+ * Describe an error passed in place of a message, including the source lines
+ * around its location and (only at debug verbosity) its stack trace.
+ *
+ * @param {Error} err
+ *
+ * @return {Object}
+ */
+function createErrorRecord (err) {
+  let error = DefaultLogger.describeError(err);
+
+  error.frame = readCodeFrame(error.path, error.line);
+  error.stack = this.isDebug() && err.stack ? err.stack : null;
+
+  return error;
+}
+
+/**
+ * Read the lines around the passed (1-based) line of a file.
+ *
+ * @param {String|null} file
+ * @param {Number|null} line
+ * @param {Number}      context
+ *
+ * @return {Array}
+ */
+function readCodeFrame (file, line, context = 2) {
+  let lines;
+
+  if (!file || !line) {
+    return [];
+  }
+
+  try {
+    lines = fs.readFileSync(file, {encoding: 'utf8'}).split(/\r?\n/);
+  } catch (e) {
+    return [];
+  }
+
+  return lines.slice(Math.max(line - context - 1, 0), Math.min(line + context, lines.length)).map(function (text, i) {
+    let number = Math.max(line - context, 1) + i;
+
+    return {
+      number: number,
+      text: text,
+      current: number === line
+    };
+  });
+}
+
+/**
+ * Create the formatter for the named output format.
+ *
+ * @param {String}  format
+ * @param {Boolean} color
+ *
+ * @return {Formatter|FormatterJson}
+ */
+function createFormatter (format, color) {
+  switch (format) {
+    case 'text':
+      return new Formatter(color);
+
+    case 'json':
+      return new FormatterJson();
+
+    default:
+      throw new Error('Unknown log format "' + format + '" (expected "text" or "json")');
   }
 }
 
@@ -162,17 +495,65 @@ class Formatter {
   }
 
   /**
-   * @param {String}    message
-   * @param {Number}    level
-   * @param {String...} replacements
+   * @param {Object} record
    *
    * @return {String}
    */
-  format(message, level, ...replacements) {
-    return sprintf('[%s] %s %s', this::formatTime(), this::formatLevel(level), this::formatMessage(message, ...replacements));
+  format(record) {
+    let text = sprintf('[%s] %s %s%s', this::formatTime(record.time), this::formatLevel(record.level), this::formatTask(record.task),
+      this::formatMessage(record.message, ...record.replacements));
+
+    return record.error ? text + this::formatError(record.error) : text;
   }
 }
 
+/**
+ * JSON-lines output formatter.
+ */
+class FormatterJson {
+  /**
+   * Format the record as a single line JSON object, including the message both
+   * with and without its replacements applied.
+   *
+   * @param {Object} record
+   *
+   * @return {String}
+   */
+  format(record) {
+    return JSON.stringify({
+      time: record.time.toISOString(),
+      level: LEVEL_NAMES[record.level + 1],
+      severity: record.level,
+      message: sprintf(record.message, ...record.replacements),
+      template: record.message,
+      replacements: record.replacements,
+      task: record.task,
+      error: record.error ? {
+        plugin: record.error.plugin,
+        file: record.error.file,
+        line: record.error.line,
+        column: record.error.column,
+        message: record.error.message,
+        stack: record.error.stack
+      } : undefined
+    });
+  }
+}
+
+/**
+ * Level names (indexed by level + 1).
+ *
+ * @type {Array}
+ */
+const LEVEL_NAMES = [
+  'debug',
+  'info',
+  'warning',
+  'error',
+  'critical',
+  'emergency'
+];
+
 /**
  * Returns true if colors are enabled.
  *
@@ -196,15 +577,58 @@ function formatMessage (message, ...replacements) {
   return this::isColorEnabled() ? colors.white(message) : message;
 }
 
+/**
+ * Format the code frame and stack trace (if any) of an error as the lines that
+ * follow its message.
+ *
+ * @param {Object} error
+ *
+ * @return {String}
+ */
+function formatError (error) {
+  let width = String(error.frame.reduce((max, l) => Math.max(max, l.number), 0)).length;
+  let paint = (color, text) => this::isColorEnabled() ? colors[color](text) : text;
+  let lines = [];
+
+  error.frame.forEach(function (l) {
+    lines.push(sprintf('%s %s %s', paint(l.current ? 'red' : 'gray', l.current ? '>' : ' '), paint('gray', sprintf('%' + width + 'd |', l.number)), l.text));
+
+    if (l.current && error.column) {
+      lines.push(sprintf('  %s %s%s', paint('gray', sprintf('%' + width + 's |', '')), l.text.slice(0, error.column - 1).replace(/[^\t]/g, ' '), paint('red', '^')));
+    }
+  });
+
+  if (error.stack) {
+    lines = lines.concat(error.stack.split('\n').map((l) => paint('gray', l)));
+  }
+
+  return lines.map((l) => '\n    ' + l).join('');
+}
+
+/**
+ * Format the task tag of a message (if any).
+ *
+ * @param {String|null} task
+ *
+ * @return {String}
+ */
+function formatTask (task) {
+  if (!task) {
+    return '';
+  }
+
+  return (this::isColorEnabled() ? colors.cyan('[' + task + ']') : '[' + task + ']') + ' ';
+}
+
 /**
  * Format message time.
  *
+ * @param  {Date}   date
  * @param  {String} [format='HHMMss']
  *
  * @return {String}
  */
-function formatTime(format = 'HH\:MM\:ss') {
-  let date = new Date();
+function formatTime(date, format = 'HH\:MM\:ss') {
   let time = dateFormat(date, format);
 
   return this::isColorEnabled() ? colors.gray(time) : time;
@@ -224,7 +648,7 @@ function formatLevel(level) {
     'WARN',
     'ERROR',
     'CRIT',
-    'EMERGENCY',
+    'EMERG',
   ];
 
   let symbols = [
@@ -264,10 +688,10 @@ function colorizeLevel(text, level) {
       return colors.red(text);
 
     case 3:
-      return colors.red.bold(text);
+      return colors.bold(colors.red(text));
 
     case 4:
-      return colors.yellow.bold(text);
+      return colors.bold(colors.yellow(text));
 
     default:
       return colors.gray(text);
@@ -285,21 +709,18 @@ class WriterProxy {
    */
   constructor (...writers) {
     this.writers = writers;
-    this.formatter = new Formatter();
   }
 
   /**
-   * Write log message of severity level with optional replacements.
+   * Write log record (each writer formats it).
    *
-   * @param {String}           message
-   * @param {Number}           level
-   * @param {String|Number} replacements
+   * @param {Object} record
    *
    * @return this
    */
-  write (message, level = 0, ...replacements) {
+  write (record) {
     for (let i = 0, len = this.writers.length; i < len; i++) {
-      this.writers[i].write(this.formatter.format(message, level, ...replacements), level);
+      this.writers[i].write(record);
     }
 
     return this;
@@ -324,34 +745,41 @@ class WriterProxy {
  */
 class WriterFile {
   /**
-   * Constructor allows enabling/disabling and setting a level cut off.
+   * Constructor allows enabling/disabling and setting a level cut off. Options
+   * control appending ("append"), rotation once the file exceeds a size in bytes
+   * ("maxSize") or an age in days ("maxAge"), the number of rotated or per-run
+   * files kept ("retain", per-run files are all kept when 0) and timestamped
+   * per-run file names ("perRun").
    *
-   * @param {Integer} levelRequired
-   * @param {String}  filePath
+   * @param {Integer}   levelRequired
+   * @param {String}    filePath
+   * @param {Formatter} formatter
+   * @param {Object}    options
    */
-  constructor (levelRequired = -1, filePath = "/tmp/gulp-runner.log") {
+  constructor (levelRequired = -1, filePath = "/tmp/gulp-runner.log", formatter = new Formatter(false), options = {}) {
+    this.formatter = formatter;
+    this.options = Object.assign({append: false, maxSize: 0, maxAge: 0, retain: 0, perRun: false}, options);
     this::setRequirement(levelRequired);
     this::openFile(filePath);
   }
 
   /**
-   * Write log message to configured file.
+   * Write log record to configured file.
    *
-   * @param {String} message
-   * @param {Integer} level
+   * @param {Object} record
    *
    * @return {FileWriter}
    */
-  write (message, level = 0) {
+  write (record) {
     if (!this::isOpen()) {
       return this;
     }
 
-    if (!this::meetsRequirement(level)) {
+    if (!this::meetsRequirement(record.level)) {
       return this;
     }
 
-    return this::writeLine(message);
+    return this::writeLine(this.formatter.format(record));
   }
 
   /**
@@ -365,20 +793,32 @@ class WriterFile {
 }
 
 /**
- * Write line to file handle.
+ * Write line to file handle, rotating the file first if it reached its maximum
+ * size.
  *
  * @param  {String} text
  *
  * @return {WriterFile|WriterStdIO|Writer}
  */
 function writeLine(text) {
-  fs.write(this.handle, text + "\n");
+  let line = text + "\n";
+
+  if (this.options.maxSize > 0 && this.size > 0 && this.size + Buffer.byteLength(line) > this.options.maxSize) {
+    this::closeFile();
+    this::rotateFile(this.pathName);
+    this::openHandle('w');
+  }
+
+  fs.writeSync(this.handle, line);
+  this.size += Buffer.byteLength(line);
 
   return this;
 }
 
 /**
- * Setup log file by creating the path and opening file handle (truncating mode).
+ * Setup log file by creating the path and opening file handle (appending or
+ * truncating mode). The previous file is rotated first when truncating, or when
+ * appending if it exceeds the maximum size or age.
  *
  * @param {String} file
  *
@@ -386,26 +826,120 @@ function writeLine(text) {
  */
 function openFile (file) {
   let filePath = path.resolve(path.dirname(file));
-  let fileName = path.basename(filePath);
-  let pathName = path.join(filePath, fileName);
+  let fileName = path.basename(file);
+
+  if (this.options.perRun) {
+    fileName = sprintf('%s-%s%s', path.basename(fileName, path.extname(fileName)), dateFormat(new Date(), 'yyyymmdd-HHMMss'), path.extname(fileName));
+  }
+
+  this.pathName = path.join(filePath, fileName);
+  FileHelper.createDirectory(filePath);
 
-  if (!fs.statSync(filePath)) {
-    fs.mkdirSync(filePath);
+  if (this.options.perRun) {
+    this::pruneRunFiles(file);
+  } else if (this.options.append ? this::isExpired(this.pathName) : fs.existsSync(this.pathName)) {
+    this::rotateFile(this.pathName);
   }
 
-  this.handle = fs.openSync(pathName, 'w');
+  return this::openHandle(this.options.append ? 'a' : 'w');
+}
+
+/**
+ * Open the file handle of the log file.
+ *
+ * @param {String} mode
+ *
+ * @return {FileWriter}
+ */
+function openHandle (mode) {
+  this.handle = fs.openSync(this.pathName, mode);
+  this.size = fs.fstatSync(this.handle).size;
   this::setLogOpen();
 
   return this;
 }
 
+/**
+ * Returns true if the file exists and exceeds the maximum size or age.
+ *
+ * @param {String} file
+ *
+ * @return {Boolean}
+ */
+function isExpired (file) {
+  if (!fs.existsSync(file)) {
+    return false;
+  }
+
+  let stat = fs.statSync(file);
+  let created = stat.birthtime && stat.birthtime.getTime() > 0 ? stat.birthtime : stat.mtime;
+
+  if (this.options.maxSize > 0 && stat.size >= this.options.maxSize) {
+    return true;
+  }
+
+  return this.options.maxAge > 0 && Date.now() - created.getTime() > this.options.maxAge * 86400000;
+}
+
+/**
+ * Rotate the file to "<file>.1", shifting previously rotated files up by one and
+ * removing those beyond the retention count.
+ *
+ * @param {String} file
+ */
+function rotateFile (file) {
+  for (let i = this.options.retain; i > 0; i--) {
+    let from = i === 1 ? file : file + '.' + (i - 1);
+
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, file + '.' + i);
+    }
+  }
+
+  if (this.options.retain < 1 && fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+
+  for (let i = Math.max(this.options.retain, 0) + 1; fs.existsSync(file + '.' + i); i++) {
+    fs.unlinkSync(file + '.' + i);
+  }
+}
+
+/**
+ * Remove the oldest per-run files of the configured log file so no more than the
+ * retention count remain once the new one is created. A retention count of 0
+ * keeps every per-run file.
+ *
+ * @param {String} file
+ */
+function pruneRunFiles (file) {
+  if (this.options.retain < 1) {
+    return;
+  }
+
+  let dir = path.resolve(path.dirname(file));
+  let ext = path.extname(file);
+  let prefix = path.basename(file, ext) + '-';
+  let runs = fs.readdirSync(dir).filter(function (name) {
+    return name.indexOf(prefix) === 0 && name.substr(name.length - ext.length) === ext &&
+      /^\d{8}-\d{6}$/.test(name.slice(prefix.length, name.length - ext.length));
+  }).sort();
+
+  runs.slice(0, Math.max(0, runs.length - this.options.retain + 1)).forEach(function (name) {
+    fs.unlinkSync(path.join(dir, name));
+  });
+}
+
 /**
  * Close file
  *
  * @return {WriterStdIO|WriterFile|Writer}
  */
 function closeFile () {
-  fs.closeSync(this.handle);
+  if (this::isOpen()) {
+    fs.closeSync(this.handle);
+    this::setLogClosed();
+  }
 
   return this;
 }
@@ -417,31 +951,38 @@ class WriterStdIO {
   /**
    * Constructor allows enabling/disabling and setting a level cut off.
    *
-   * @param {Integer} levelRequired
+   * @param {Integer}   levelRequired
+   * @param {Formatter} formatter
+   * @param {String}    stream
    */
-  constructor (levelRequired = -1) {
+  constructor (levelRequired = -1, formatter = new Formatter(), stream = 'stdout') {
+    this.formatter = formatter;
+    this.stream = stream;
     this::setRequirement(levelRequired);
     this::setLogOpen();
   }
 
   /**
-   * Write log message to configured file.
+   * Write log record to the configured stream.
    *
-   * @param {String} message
-   * @param {Integer} level
+   * @param {Object} record
    *
    * @return {WriterStdIO}
    */
-  write (message, level = 0) {
+  write (record) {
     if (!this::isOpen()) {
       return this;
     }
 
-    if (!this::meetsRequirement(level)) {
+    if (!this::meetsRequirement(record.level)) {
       return this;
     }
 
-    console.log(message);
+    if (this.stream === 'stderr') {
+      console.error(this.formatter.format(record));
+    } else {
+      console.log(this.formatter.format(record));
+    }
 
     return this;
   }
@@ -12,25 +12,294 @@
 
 import gulp from 'gulp';
 import del from 'del';
+import fs from 'fs';
+import glob from 'glob';
+import path from 'path';
 import source from 'vinyl-source-stream';
 import buffer from 'vinyl-buffer';
 import loader from 'gulp-load-plugins';
 import pkg  from './../package.json';
 import browserify from 'browserify';
+import browserifyInc from 'browserify-incremental';
+import browserSync from 'browser-sync';
 import babelify from 'babelify';
+import tsify from 'tsify';
 import shell from 'gulp-shell';
+import through from 'through2';
+import minimist from 'minimist';
+import factor from 'factor-bundle';
+import merge from 'merge-stream';
 
+import AssetCompressor from './asset-compressor.babel.js';
+import AssetIntegrity from './asset-integrity.babel.js';
+import AssetRevisioner from './asset-revisioner.babel.js';
+import BuildCache from './build-cache.babel.js';
+import ChunkReporter from './chunk-reporter.babel.js';
 import ConfigBuilder from './config-builder.babel.js';
 import ConfigFetcher from './config-fetcher.babel.js';
+import ConfigInspector from './config-inspector.babel.js';
 import DefaultLogger from './default-logger.babel.js';
+import ErrorTracker from './error-tracker.babel.js';
+import FileHelper from './file-helper.babel.js';
+import SizeReporter from './size-reporter.babel.js';
+
+/* boolean flags of gulp-cli itself, so they are not parsed as taking the task name */
+
+const GULP_CLI_FLAGS = ['help', 'h', 'version', 'v', 'verify', 'tasks', 'T', 'tasks-simple', 'tasks-json', 'color',
+  'compact-tasks', 'sort-tasks', 'S', 'continue', 'series', 'L'];
 
 /* setup our global variables */
 
 const plugins = loader();
-const logger  = new DefaultLogger(0, './gulp.log');
-const builder = new ConfigBuilder('./.gulp.json', logger);
+const argv    = minimist(process.argv.slice(2), {
+  boolean: ['strict-config', 'silent', 'verbose', 'quiet', 'q', 'cache', ...GULP_CLI_FLAGS],
+  default: {
+    cache: true
+  }
+});
+const verbose = readVerbosity(process.argv.slice(2));
+const piping  = isInspecting(argv._);
+const logger  = new DefaultLogger(verbose || 0, null, piping ? 'stderr' : 'stdout');
+const builder = new ConfigBuilder('./.gulp.json', logger, argv);
 const configs = new ConfigFetcher(builder);
 
+logger.configure(Object.assign({}, configs.map('logging', {default: {}}), verbose === null ? {} : {
+  verbosity: verbose
+}, piping ? {
+  stdio: Object.assign({}, configs.map('logging.stdio', {default: {}}), {stream: 'stderr'})
+} : {}));
+
+const taskConfig = describeTaskConfig();
+const inspect = new ConfigInspector(builder);
+const cache   = new BuildCache(configs.option('cache.dir'), JSON.stringify(builder.configObject), logger);
+const errors  = new ErrorTracker(logger);
+const server  = browserSync.create();
+
+let watching = false;
+let serving  = false;
+
+/**
+ * Read the verbosity from the repeatable "--verbose" and "--quiet" (or "-q")
+ * flags, the "--silent" flag or an explicit "--verbosity=N" (from -3 to 3),
+ * returning null if none is passed. There is no "-v" short flag, as gulp-cli
+ * reserves it for its version flag. The raw arguments are used as minimist does
+ * not count repeated flags (nor the letters of "-qq").
+ *
+ * @param {Array} args
+ *
+ * @returns {Number|null}
+ */
+function readVerbosity (args) {
+  let verbosity = args.reduce(function (verbosity, arg, i) {
+    let match = /^--verbosity(?:=(.*))?$/.exec(arg);
+
+    if (match) {
+      return parseInt(match[1] !== undefined ? match[1] : args[i + 1], 10) || 0;
+    }
+
+    switch (arg) {
+      case '--verbose':
+        return (verbosity || 0) + 1;
+      case '--quiet':
+        return (verbosity || 0) - 1;
+      case '--silent':
+        return -3;
+    }
+
+    if (/^-q+$/.test(arg)) {
+      return (verbosity || 0) - (arg.length - 1);
+    }
+
+    return verbosity;
+  }, null);
+
+  return verbosity === null ? null : Math.max(-3, Math.min(3, verbosity));
+}
+
+/**
+ * Returns true if only the config introspection tasks were requested. These
+ * write their data to stdout, so log lines are sent to stderr instead to keep
+ * the output usable in pipes (gulp-cli's own lines are hidden by "--silent").
+ *
+ * @param {Array} tasks
+ *
+ * @returns {Boolean}
+ */
+function isInspecting (tasks) {
+  return tasks.length > 0 && tasks.every((t) => /^config:/.test(String(t)));
+}
+
+/* remember the error listeners gulp-cli may have added before loading us */
+
+const cliErrorListeners = gulp.listeners('error');
+
+/* track running tasks so config errors and log messages can name their task */
+
+gulp.on('start', (e) => !e.branch && configs.enterTask(e.name));
+gulp.on('stop', (e) => !e.branch && configs.leaveTask(e.name));
+gulp.on('error', (e) => !e.branch && configs.leaveTask(e.name));
+
+/* time running tasks and summarize them at the end of the run */
+
+gulp.on('start', (e) => !e.branch && logger.enterTask(e.name));
+gulp.on('stop', (e) => !e.branch && logger.leaveTask(e.name, errors.hasFailures(e.name) ? 'failed' : 'ok'));
+gulp.on('error', (e) => !e.branch && logger.leaveTask(e.name, 'failed'));
+
+process.on('exit', printSummary);
+
+/* exit on interrupt or termination (the summary is printed on exit) */
+
+process.once('SIGINT', () => process.exit(130));
+process.once('SIGTERM', () => process.exit(143));
+
+/**
+ * Log the task summary (unless disabled in the logging options) and reset the
+ * task timings, so a later summary only lists the tasks run since.
+ */
+function printSummary () {
+  if (configs.bool('logging.summary', {default: true})) {
+    logger.summary();
+  }
+
+  logger.resetTimings();
+}
+
+/* track errors while watching so failures are reported instead of fatal */
+
+gulp.on('start', (e) => !e.branch && errors.clear(e.name));
+gulp.on('error', (e) => !e.branch && watching && errors.record(e.name, e.error));
+
+/* otherwise log task errors (with the code frame of plugin errors) */
+
+gulp.on('error', function (e) {
+  if (e.branch || watching) {
+    return;
+  }
+
+  if (e.error instanceof Error) {
+    logger.child(e.name).error(e.error);
+  } else {
+    logger.child(e.name).error('%s', e.error);
+  }
+});
+
+/* errors are reported above only: drop the error listeners gulp-cli adds (before
+   or after loading the gulpfile), as they print each error and stack again */
+
+const errorListeners = gulp.listeners('error').filter((l) => cliErrorListeners.indexOf(l) === -1);
+
+gulp.once('start', function () {
+  gulp.listeners('error').filter((l) => errorListeners.indexOf(l) === -1).forEach((l) => gulp.removeListener('error', l));
+});
+
+/**
+ * Create a stream that, while watching, sends the errors of the pipeline it is
+ * piped into to the error tracker instead of ending the process. One-shot runs
+ * get a pass-through stream so errors remain fatal.
+ *
+ * @param {string} task
+ *
+ * @returns {Stream}
+ */
+function guard (task) {
+  if (!watching) {
+    return through.obj();
+  }
+
+  return plugins.plumber({
+    errorHandler: errors.handler(task)
+  });
+}
+
+/**
+ * Send the errors of the passed stream to the error tracker while watching.
+ *
+ * @param {Stream} stream
+ * @param {string} task
+ *
+ * @returns {Stream}
+ */
+function guardStream (stream, task) {
+  if (watching) {
+    stream.on('error', errors.handler(task));
+  }
+
+  return stream;
+}
+
+/* define build cache helpers */
+
+/**
+ * Returns true if build caching is enabled (it can be disabled for a single run
+ * using the "--no-cache" flag).
+ *
+ * @returns {Boolean}
+ */
+function isCacheEnabled () {
+  return configs.stage('cache') && argv.cache !== false;
+}
+
+/**
+ * Wrap a task function so it is skipped when the content of its inputs (and the
+ * config) is unchanged since its last successful run and its outputs exist. The
+ * inputs may be given as a function, which is called again to key the outputs
+ * once the task has run (its inputs may be discovered while running).
+ *
+ * @param {string}         name
+ * @param {Array|Function} inputs
+ * @param {Array}          outputs
+ * @param {Function}       fn
+ *
+ * @returns {Function}
+ */
+function cachedTask (name, inputs, outputs, fn) {
+  return (done) => {
+    if (!isCacheEnabled()) {
+      return fn(done);
+    }
+
+    let key = cache.key(typeof inputs === 'function' ? inputs() : inputs);
+
+    if (cache.isFresh(name, key, outputs)) {
+      logger.child(name).info('Skipping %s: inputs unchanged since the last build', name);
+      return done();
+    }
+
+    let stream = fn(done);
+
+    if (stream) {
+      stream.on('finish', () => !errors.hasFailures(name) && cache.store(name, typeof inputs === 'function' ? cache.key(inputs()) : key));
+    }
+
+    return stream;
+  };
+}
+
+/**
+ * Wrap a browserify task function as a cached task whose inputs are its watched
+ * files plus every module packed into the passed chunks by its last run (local
+ * modules and those of node_modules alike).
+ *
+ * @param {string}   name
+ * @param {Array}    watch
+ * @param {Array}    chunks
+ * @param {Array}    outputs
+ * @param {Function} fn
+ *
+ * @returns {Function}
+ */
+function cachedBundleTask (name, watch, chunks, outputs, fn) {
+  return cachedTask(name, () => [].concat(watch, cache.dependencies(name)), outputs, (done) => {
+    let stream = fn(done);
+
+    stream.on('finish', function () {
+      cache.storeDependencies(name, [].concat(...chunks.map((chunk) => scriptChunks.chunks[chunk] || [])));
+    });
+
+    return stream;
+  });
+}
+
 /* define cleaning tasks */
 
 gulp.task('clean-scripts', () => {
@@ -58,7 +327,9 @@ gulp.task('clean', gulp.parallel(
 
 /* define build tasks */
 
-let pluginBuildDescs = configs.plugin('builds');
+let pluginBuildDescs = configs.map('files.plugins.builds', {
+  default: {}
+});
 let pluginBuildNames = Object.keys(pluginBuildDescs);
 
 for(let p of pluginBuildNames){
@@ -77,6 +348,7 @@ gulp.task('make-dependency', gulp.series(...pluginBuildNames.map(function (p) {
 gulp.task('tests-styles', () => {
   return gulp
     .src(configs.globs('tests.styles'))
+    .pipe(guard('tests-styles'))
     .pipe(plugins.postcss([
       require('stylelint')({
         configFile: configs.option('rc.style-lint')
@@ -92,6 +364,7 @@ gulp.task('tests-styles', () => {
 gulp.task('tests-scripts', () => {
   return gulp
     .src(configs.globs('tests.scripts'))
+    .pipe(guard('tests-scripts'))
     .pipe(plugins.jscs({
       fix: true,
       configPath: configs.option('rc.js-cs')
@@ -110,12 +383,14 @@ gulp.task('tests', gulp.parallel(
 gulp.task('assets-images', () => {
   return gulp
     .src(configs.files('plugins.images', 'app.images'))
+    .pipe(guard('assets-images'))
     .pipe(gulp.dest(configs.path('public.images')));
 });
 
 gulp.task('assets-fonts', () => {
   return gulp
     .src(configs.files('plugins.fonts', 'app.fonts'))
+    .pipe(guard('assets-fonts'))
     .pipe(gulp.dest(configs.path('public.fonts')));
 });
 
@@ -126,10 +401,69 @@ gulp.task('assets', gulp.parallel(
 
 /* define style tasks */
 
-gulp.task('make-styles', () => {
+let styleSheets = configs.map('stylesheets', {
+  default: {}
+});
+let styleTaskNames = [];
+let styleInputs = [];
+
+for (let n of Object.keys(styleSheets)) {
+  let sheet = styleSheets[n];
+  let themes = sheet.themes || {};
+
+  styleInputs.push(...[].concat(sheet.source, ...Object.keys(themes).map((t) => themes[t])));
+
+  if (Object.keys(themes).length === 0) {
+    gulp.task('make-styles-'+n, cachedTask('make-styles-'+n, configs.globs('tests.styles').concat(sheet.source), [
+      configs.path('public.styles', {post: (sheet.output || n) + '.css'})
+    ], () => {
+      return makeStyles('make-styles-'+n, sheet.source, sheet.output || n, null);
+    }));
+    styleTaskNames.push('make-styles-'+n);
+  }
+
+  for (let t of Object.keys(themes)) {
+    gulp.task('make-styles-'+n+'-'+t, cachedTask('make-styles-'+n+'-'+t, configs.globs('tests.styles').concat(sheet.source, themes[t]), [
+      configs.path('public.styles', {post: (sheet.output || n) + '-' + t + '.css'})
+    ], () => {
+      return makeStyles('make-styles-'+n+'-'+t, sheet.source, (sheet.output || n)+'-'+t, themes[t]);
+    }));
+    styleTaskNames.push('make-styles-'+n+'-'+t);
+  }
+}
+
+if (styleTaskNames.length === 0) {
+  let styleSources = configs.file('app.styles');
+  let styleOutputs = styleSources.map((f) => {
+    return configs.path('public.styles', {post: path.basename(f).replace(/\.s[ac]ss$/, '.css')});
+  });
+
+  styleInputs.push(...styleSources);
+
+  gulp.task('make-styles', cachedTask('make-styles', configs.globs('tests.styles').concat(styleSources), styleOutputs, () => {
+    return makeStyles('make-styles', styleSources, null, null);
+  }));
+} else {
+  gulp.task('make-styles', gulp.parallel(...styleTaskNames));
+}
+
+/**
+ * Compile stylesheets, optionally renaming the output and prepending an import
+ * of a theme variables file, writing both the full and minified results.
+ *
+ * @param {string}       task
+ * @param {string|Array} sources
+ * @param {string|null}  name
+ * @param {string|null}  themeFile
+ *
+ * @returns {Stream}
+ */
+function makeStyles (task, sources, name, themeFile) {
   return gulp
-    .src(configs.file('app.styles'))
-    .pipe(plugins.sourcemaps.init())
+    .src(sources)
+    .pipe(guard(task))
+    .pipe(plugins.if(themeFile !== null, plugins.banner('@import "' + path.resolve(String(themeFile)) + '";\n')))
+    .pipe(plugins.if(configs.stage('sourcemaps'), plugins.sourcemaps.init()))
     .pipe(plugins.postcss([
       require('postcss-strip-inline-comments'),
       require('postcss-short'),
@@ -145,6 +479,9 @@ gulp.task('make-styles', () => {
     .pipe(plugins.sass({
       'includePaths': configs.paths('components')
     }))
+    .pipe(plugins.if(name !== null, plugins.rename({
+      basename: name
+    })))
     .pipe(plugins.postcss([
       require('postcss-cssnext')({
         browsers: configs.option('browser-support')
@@ -157,91 +494,506 @@ gulp.task('make-styles', () => {
         clearMessages: true
       }),
     ]))
-    .pipe(plugins.decomment.text())
-    .pipe(plugins.banner(configs.option('banner-text'), {
+    .pipe(plugins.if(configs.stage('decomment'), plugins.decomment.text()))
+    .pipe(plugins.if(configs.stage('banner'), plugins.banner(configs.option('banner-text'), {
       pkg: pkg
-    }))
+    })))
     .pipe(gulp.dest(configs.path('public.styles')))
-    .pipe(plugins.rename({
+    .pipe(plugins.if(configs.stage('minify'), plugins.rename({
       suffix: '.min'
-    }))
-    .pipe(plugins.postcss([
+    })))
+    .pipe(plugins.if(configs.stage('minify'), plugins.postcss([
       require('postcss-clean'),
       require("postcss-reporter")({
         clearMessages: true
       }),
-    ]))
-    .pipe(plugins.sourcemaps.write('.'))
-    .pipe(gulp.dest(configs.path('public.styles')));
-});
+    ])))
+    .pipe(plugins.if(configs.stage('sourcemaps'), plugins.sourcemaps.write('.')))
+    .pipe(gulp.dest(configs.path('public.styles')))
+    .pipe(injectStyles());
+}
 
 /* define script tasks */
 
-gulp.task('make-scripts-core', () => {
-  return browserify({
-      entries: configs.file('app.scripts'),
-      debug: true
-    })
-    .transform(babelify, {
-      presets: [
-        'es2015'
-      ]
-    })
-    .bundle()
-    .pipe(source('app-core.js'))
-    .pipe(buffer())
-    .pipe(plugins.decomment())
-    .pipe(plugins.banner(configs.option('banner-text'), {
-      pkg: pkg
-    }))
-    .pipe(gulp.dest(configs.path('public.scripts')));
+let scriptBundles = configs.map('bundles', {
+  default: {
+    app: {
+      entries: configs.files('app.scripts'),
+      plugins: configs.files('plugins.scripts'),
+      watch: configs.globs('tests.scripts')
+    }
+  }
+});
+let scriptBundleNames = Object.keys(scriptBundles);
+let scriptBundlers = {};
+let scriptChunks = new ChunkReporter('.', logger);
+let splitBundler = null;
+let splitOutputs = [];
+let splitting = configs.stage('split');
+let vendorModules = configs.list('options.chunks.modules', {
+  default: []
 });
 
-gulp.task('make-scripts-plugins', () => {
-  return gulp
-    .src(configs.files('plugins.scripts'))
-    .pipe(plugins.sourcemaps.init())
-    .pipe(plugins.concat('app-plugins.js'))
-    .pipe(plugins.decomment())
-    .pipe(plugins.banner(configs.option('banner-text'), {
-      pkg: pkg
-    }))
-    .pipe(gulp.dest(configs.path('public.scripts')));
+gulp.task('make-scripts-vendor', cachedTask('make-scripts-vendor', ['package.json'], [
+  configs.path('public.scripts', {post: configs.option('chunks.vendor')})
+], (done) => {
+  if (!splitting || vendorModules.length === 0) {
+    return done();
+  }
+
+  let bundler = recordChunk(browserify({
+    debug: configs.stage('sourcemaps')
+  }).require(vendorModules), configs.option('chunks.vendor'));
+
+  return writeScriptChunk(guardStream(bundler.bundle(), 'make-scripts-vendor')
+    .pipe(guard('make-scripts-vendor'))
+    .pipe(source(configs.option('chunks.vendor'))), true);
+}));
+
+gulp.task('make-scripts-split', cachedBundleTask('make-scripts-split', [].concat(...scriptBundleNames.map(function (b) {
+  return [].concat(scriptBundles[b].watch || scriptBundles[b].entries, ...Object.keys(scriptBundles[b].split || {}).map((s) => scriptBundles[b].split[s]));
+})), describeSplitChunks().map((chunk) => chunk.name).concat(configs.option('chunks.common')), describeSplitChunks().map(function (chunk) {
+  return configs.path('public.scripts', {post: chunk.name});
+}).concat(configs.path('public.scripts', {post: configs.option('chunks.common')})), () => {
+  let chunks = describeSplitChunks();
+  let bundle = guardStream(createSplitBundler().bundle(), 'make-scripts-split');
+
+  splitOutputs = chunks.map((chunk) => source(chunk.name));
+  bundle.on('error', () => splitOutputs.forEach((output) => output.end()));
+
+  return merge(
+    writeScriptChunk(bundle.pipe(guard('make-scripts-split')).pipe(source(configs.option('chunks.common'))), true),
+    ...splitOutputs.map((output, i) => writeScriptChunk(output.pipe(guard('make-scripts-split')), chunks[i].final))
+  );
+}));
+
+gulp.task('report-chunks', (done) => {
+  if (!splitting) {
+    return done();
+  }
+
+  for (let b of scriptBundleNames) {
+    scriptChunks.set(b + '-plugins.js', [].concat(...(scriptBundles[b].plugins || []).map((pattern) => glob.sync(pattern, {
+      nodir: true
+    }))));
+  }
+
+  scriptChunks.write(configs.option('chunks.report'), logger.child('report-chunks'));
+  done();
 });
 
-gulp.task('make-scripts-all', () => {
-  return gulp
-    .src([
-      configs.path('public.scripts', {
-        post: 'app-plugins.js'
-      }),
-      configs.path('public.scripts', {
-        post: 'app-core.js'
+for (let b of scriptBundleNames) {
+  let bundle = scriptBundles[b];
+  let output = bundle.output || b + '.js';
+  let bundlePlugins = bundle.plugins || [];
+
+  if (['core', 'plugins', 'all', 'vendor', 'split'].indexOf(b) !== -1) {
+    throw new Error('Script bundle name "' + b + '" is reserved');
+  }
+
+  bundle.watch = bundle.watch || bundle.entries;
+
+  gulp.task('clean-scripts-'+b, () => {
+    return del([
+      configs.path('public.scripts', {post: b + '-{core,plugins}.js{,.gz,.br}'}),
+      configs.path('public.scripts', {post: output.replace(/\.js$/, '') + '{,.min}.js{,.map,.gz,.br}'}),
+      ...Object.keys(bundle.split || {}).map(function (s) {
+        return configs.path('public.scripts', {post: splitOutput(b, s).replace(/\.js$/, '') + '{,.min}.js{,.map,.gz,.br}'});
       })
-    ])
-    .pipe(plugins.sourcemaps.init())
-    .pipe(plugins.concatSourcemap('app.js', {
-      sourcesContent: true
-    }))
-    .pipe(plugins.decomment())
-    .pipe(plugins.banner(configs.option('banner-text'), {
+    ]);
+  });
+
+  gulp.task('make-scripts-'+b+'-core', splitting ? gulp.series('make-scripts-split') : cachedBundleTask('make-scripts-'+b+'-core', bundle.watch, [b + '-core.js'], [
+    configs.path('public.scripts', {post: b + '-core.js'})
+  ], () => {
+    return writeScriptChunk(guardStream(createBundler(b).bundle(), 'make-scripts-'+b+'-core')
+      .pipe(guard('make-scripts-'+b+'-core'))
+      .pipe(source(b + '-core.js')), false);
+  }));
+
+  gulp.task('make-scripts-'+b+'-plugins', cachedTask('make-scripts-'+b+'-plugins', bundlePlugins, [
+    configs.path('public.scripts', {post: b + '-plugins.js'})
+  ], (done) => {
+    if (bundlePlugins.length === 0) {
+      return done();
+    }
+
+    return gulp
+      .src(bundlePlugins)
+      .pipe(guard('make-scripts-'+b+'-plugins'))
+      .pipe(plugins.if(configs.stage('sourcemaps'), plugins.sourcemaps.init()))
+      .pipe(plugins.concat(b + '-plugins.js'))
+      .pipe(plugins.if(configs.stage('decomment'), plugins.decomment()))
+      .pipe(plugins.if(configs.stage('banner'), plugins.banner(configs.option('banner-text'), {
+        pkg: pkg
+      })))
+      .pipe(gulp.dest(configs.path('public.scripts')));
+  }));
+
+  gulp.task('make-scripts-'+b+'-all', cachedTask('make-scripts-'+b+'-all', [
+    configs.path('public.scripts', {post: b + '-{core,plugins}.js'})
+  ], [
+    configs.path('public.scripts', {post: output}),
+    ...(configs.stage('minify') ? [configs.path('public.scripts', {post: output.replace(/\.js$/, '.min.js')})] : [])
+  ], () => {
+    return gulp
+      .src([
+        ...(bundlePlugins.length === 0 ? [] : [configs.path('public.scripts', {
+          post: b + '-plugins.js'
+        })]),
+        configs.path('public.scripts', {
+          post: b + '-core.js'
+        })
+      ])
+      .pipe(guard('make-scripts-'+b+'-all'))
+      .pipe(plugins.if(configs.stage('sourcemaps'), plugins.sourcemaps.init()))
+      .pipe(plugins.concatSourcemap(output, {
+        sourcesContent: true
+      }))
+      .pipe(plugins.if(configs.stage('decomment'), plugins.decomment()))
+      .pipe(plugins.if(configs.stage('banner'), plugins.banner(configs.option('banner-text'), {
+        pkg: pkg
+      })))
+      .pipe(gulp.dest(configs.path('public.scripts')))
+      .pipe(plugins.if(configs.stage('minify'), plugins.rename({
+        suffix: '.min'
+      })))
+      .pipe(plugins.if(configs.stage('minify'), plugins.uglify()))
+      .pipe(plugins.if(configs.stage('sourcemaps'), plugins.sourcemaps.write('.')))
+      .pipe(gulp.dest(configs.path('public.scripts')));
+  }));
+
+  gulp.task('make-scripts-'+b, gulp.series(
+    gulp.parallel(
+      'make-scripts-'+b+'-core',
+      'make-scripts-'+b+'-plugins'
+    ),
+    'make-scripts-'+b+'-all',
+    'report-chunks'
+  ));
+
+  gulp.task('watch-scripts-'+b, () => {
+    startWatching();
+    watchScriptBundle(b);
+  });
+}
+
+/**
+ * Create (or reuse, so that watch rebuilds are incremental) the browserify
+ * bundler of the named script bundle.
+ *
+ * @param {string} b
+ *
+ * @returns {Browserify}
+ */
+function createBundler (b) {
+  if (!scriptBundlers[b]) {
+    scriptBundlers[b] = recordChunk(exposePluginGlobals(createBrowserify(b, scriptBundles[b].entries, 'make-scripts-'+b+'-core'), [b]), b + '-core.js');
+  }
+
+  return scriptBundlers[b];
+}
+
+/**
+ * Create (or reuse) the browserify bundler of the split stage. It bundles the
+ * cores and split bundles of all script bundles at once, factoring the modules
+ * they share into the common chunk and leaving the vendor modules and plugin
+ * libraries external.
+ *
+ * @returns {Browserify}
+ */
+function createSplitBundler () {
+  if (splitBundler) {
+    return splitBundler;
+  }
+
+  let chunks = describeSplitChunks();
+  let entries = chunks.map(createChunkEntry);
+  let generated = entries.filter((entry, i) => chunks[i].entries.length > 1);
+  let isModule = (file) => generated.indexOf(path.resolve(file)) === -1;
+
+  splitBundler = exposePluginGlobals(createBrowserify('split', entries, 'make-scripts-split'), scriptBundleNames)
+    .external(vendorModules)
+    .plugin(factor, {
+      outputs: () => splitOutputs
+    });
+
+  splitBundler.on('factor.pipeline', function (file, pipeline) {
+    pipeline.get('pack').unshift(scriptChunks.stream(chunks[entries.indexOf(file)].name, isModule));
+  });
+
+  return recordChunk(splitBundler, configs.option('chunks.common'), isModule);
+}
+
+/**
+ * Create a browserify bundler for the passed entries, transpiled as set in the
+ * transpile options. While watching with caching enabled, the module cache is
+ * also persisted to disk between runs; it requires full module paths, so other
+ * builds do not use it. Type errors are logged as part of the passed task.
+ *
+ * @param {string} name
+ * @param {Array}  entries
+ * @param {string} task
+ *
+ * @returns {Browserify}
+ */
+function createBrowserify (name, entries, task) {
+  let cached = watching && isCacheEnabled();
+  let typescript = configs.bool('options.transpile.typescript');
+  let extensions = configs.list('options.transpile.extensions').concat(typescript ? ['.ts', '.tsx'] : []);
+  let bundler = browserify(Object.assign(cached ? Object.assign({}, browserifyInc.args) : {}, {
+    entries: entries,
+    extensions: extensions,
+    debug: configs.stage('sourcemaps')
+  }));
+
+  if (typescript) {
+    reportTypeErrors(bundler.plugin(tsify), logger.child(task));
+  }
+
+  bundler.transform(babelify, {
+    presets: configs.list('options.transpile.presets').map(targetPreset),
+    plugins: configs.list('options.transpile.plugins'),
+    extensions: extensions
+  });
+
+  if (cached) {
+    browserifyInc(bundler, {
+      cacheFile: cache.file('browserify-' + name + '.json')
+    });
+  }
+
+  return bundler;
+}
+
+/**
+ * Make the modules named in the chunks globals option resolve to the globals
+ * defined by the plugin libraries of the passed bundles (when they are among
+ * them), so code requiring a plugin library such as jQuery uses the copy loaded
+ * by the plugins chunk instead of bundling another one.
+ *
+ * @param {Browserify} bundler
+ * @param {Array}      bundles
+ *
+ * @returns {Browserify}
+ */
+function exposePluginGlobals (bundler, bundles) {
+  let globals = configs.map('options.chunks.globals', {default: {}});
+  let packages = [].concat(...bundles.map((b) => scriptBundles[b].plugins || [])).map(pluginPackage);
+
+  Object.keys(globals).filter((name) => packages.indexOf(name) !== -1).forEach(function (name) {
+    let stub = path.resolve(cache.file('global-' + name.replace(/[^a-z0-9_-]/gi, '_') + '.js'));
+
+    fs.writeFileSync(stub, 'module.exports = window[' + JSON.stringify(globals[name]) + '];\n');
+    bundler.require(stub, {
+      expose: name
+    });
+  });
+
+  return bundler;
+}
+
+/**
+ * Return the name of the package a plugin library file belongs to: its first
+ * (or, for scoped packages, first two) directories below the components path or
+ * the last node_modules directory.
+ *
+ * @param {string} file
+ *
+ * @returns {string|null}
+ */
+function pluginPackage (file) {
+  let relative = FileHelper.relativePath(configs.path('components'), file);
+  let i = file.lastIndexOf('node_modules/');
+
+  if (i !== -1) {
+    relative = file.slice(i + 'node_modules/'.length);
+  } else if (relative.indexOf('../') === 0) {
+    return null;
+  }
+
+  let parts = relative.split('/');
+
+  return parts[0].charAt(0) === '@' ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Pass the browser support list to the "env" preset as its targets (unless they
+ * are set explicitly). Presets are given by name or as a [name, options] pair.
+ *
+ * @param {string|Array} preset
+ *
+ * @returns {string|Array}
+ */
+function targetPreset (preset) {
+  let [name, options = {}] = [].concat(preset);
+
+  if (['env', 'babel-preset-env'].indexOf(name) === -1 || options.targets) {
+    return preset;
+  }
+
+  return [name, Object.assign({}, options, {
+    targets: {
+      browsers: configs.list('options.browser-support')
+    }
+  })];
+}
+
+/**
+ * Log the type errors raised while bundling TypeScript files after the first
+ * one, which fails the bundle and is reported as the task error. While watching
+ * the error tracker records (and reports) each of them instead.
+ *
+ * @param {Browserify}    bundler
+ * @param {DefaultLogger} log
+ *
+ * @returns {Browserify}
+ */
+function reportTypeErrors (bundler, log) {
+  let hook = function () {
+    let count = 0;
+
+    bundler.pipeline.on('error', function (err) {
+      if (err.name !== 'TypeScript error' || watching || count++ === 0) {
+        return;
+      }
+
+      log.error(err);
+    });
+  };
+
+  bundler.on('reset', hook);
+  hook();
+
+  return bundler;
+}
+
+/**
+ * Record the modules packed by the passed bundler (on each rebuild) in the chunk
+ * report.
+ *
+ * @param {Browserify} bundler
+ * @param {string}     chunk
+ * @param {Function}   filter
+ *
+ * @returns {Browserify}
+ */
+function recordChunk (bundler, chunk, filter = () => true) {
+  let hook = function () {
+    let pack = bundler.pipeline.get('pack');
+
+    pack.splice(pack.length - 1, 0, scriptChunks.stream(chunk, filter));
+  };
+
+  bundler.on('reset', hook);
+  hook();
+
+  return bundler;
+}
+
+/**
+ * Describe the chunks written by the split stage: the core and the lazily loaded
+ * split bundles of each script bundle.
+ *
+ * @returns {Array}
+ */
+function describeSplitChunks () {
+  let chunks = [];
+
+  for (let b of scriptBundleNames) {
+    let splits = scriptBundles[b].split || {};
+
+    chunks.push({name: b + '-core.js', entries: [].concat(scriptBundles[b].entries), final: false});
+
+    Object.keys(splits).forEach(function (s) {
+      chunks.push({name: splitOutput(b, s), entries: [].concat(splits[s]), final: true});
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Return the browserify entry of a split stage chunk. Chunks with several entry
+ * files get an entry file (in the cache directory) requiring all of them.
+ *
+ * @param {Object} chunk
+ *
+ * @returns {string}
+ */
+function createChunkEntry (chunk) {
+  if (chunk.entries.length === 1) {
+    return path.resolve(chunk.entries[0]);
+  }
+
+  let entry = path.resolve(cache.file('entry-' + chunk.name));
+
+  fs.writeFileSync(entry, chunk.entries.map((e) => 'require(' + JSON.stringify(path.resolve(e)) + ');\n').join(''));
+
+  return entry;
+}
+
+/**
+ * Return the output file name of a split bundle of the named script bundle.
+ *
+ * @param {string} b
+ * @param {string} s
+ *
+ * @returns {string}
+ */
+function splitOutput (b, s) {
+  return (scriptBundles[b].output || b + '.js').replace(/\.js$/, '') + '.' + s + '.js';
+}
+
+/**
+ * Write a browserify output stream (named by vinyl-source-stream) to the public
+ * scripts directory. Final chunks are loaded by pages directly, so unlike the
+ * bundle cores (concatenated with their plugins later) they are also minified.
+ *
+ * @param {Stream}  stream
+ * @param {Boolean} final
+ *
+ * @returns {Stream}
+ */
+function writeScriptChunk (stream, final) {
+  return stream
+    .pipe(buffer())
+    .pipe(plugins.if(final && configs.stage('sourcemaps'), plugins.sourcemaps.init({
+      loadMaps: true
+    })))
+    .pipe(plugins.if(configs.stage('decomment'), plugins.decomment()))
+    .pipe(plugins.if(configs.stage('banner'), plugins.banner(configs.option('banner-text'), {
       pkg: pkg
-    }))
+    })))
     .pipe(gulp.dest(configs.path('public.scripts')))
-    .pipe(plugins.rename({
+    .pipe(plugins.if(final && configs.stage('minify'), plugins.rename({
       suffix: '.min'
-    }))
-    .pipe(plugins.uglify())
-    .pipe(plugins.sourcemaps.write('.'))
-    .pipe(gulp.dest(configs.path('public.scripts')));
-});
+    })))
+    .pipe(plugins.if(final && configs.stage('minify'), plugins.uglify()))
+    .pipe(plugins.if(final && configs.stage('sourcemaps'), plugins.sourcemaps.write('.')))
+    .pipe(plugins.if(final, gulp.dest(configs.path('public.scripts'))));
+}
+
+gulp.task('make-scripts-core', splitting ? gulp.series('make-scripts-split') : gulp.parallel(...scriptBundleNames.map(function (b) {
+  return 'make-scripts-'+b+'-core';
+})));
+
+gulp.task('make-scripts-plugins', gulp.parallel(...scriptBundleNames.map(function (b) {
+  return 'make-scripts-'+b+'-plugins';
+})));
+
+gulp.task('make-scripts-all', gulp.parallel(...scriptBundleNames.map(function (b) {
+  return 'make-scripts-'+b+'-all';
+})));
 
 gulp.task('make-scripts', gulp.series(
   gulp.parallel(
+    'make-scripts-vendor',
     'make-scripts-core',
     'make-scripts-plugins'
   ),
-  'make-scripts-all'
+  'make-scripts-all',
+  'report-chunks'
 ));
 
 gulp.task('make', gulp.parallel(
@@ -249,6 +1001,203 @@ gulp.task('make', gulp.parallel(
   'make-scripts'
 ));
 
+/* define revision tasks */
+
+const revisioner = new AssetRevisioner(configs.option('revision.base'), configs.int('options.revision.hash-length'), logger);
+
+gulp.task('revision-assets', () => {
+  revisioner.reset();
+
+  return gulp
+    .src([
+      configs.path('public.images', {post: '**/*'}),
+      configs.path('public.fonts', {post: '**/*'})
+    ], {
+      nodir: true
+    })
+    .pipe(guard('revision-assets'))
+    .pipe(revisioner.stream(() => true, logger.child('revision-assets')))
+    .pipe(gulp.dest((file) => file.base));
+});
+
+gulp.task('revision-styles', () => {
+  return gulp
+    .src(configs.path('public.styles', {post: '*.css'}))
+    .pipe(guard('revision-styles'))
+    .pipe(revisioner.stream(() => true, logger.child('revision-styles')))
+    .pipe(gulp.dest(configs.path('public.styles')));
+});
+
+gulp.task('revision-scripts', () => {
+  return gulp
+    .src(configs.path('public.scripts', {post: '*.js'}))
+    .pipe(guard('revision-scripts'))
+    .pipe(revisioner.stream((file) => !isIntermediateAsset(file.path), logger.child('revision-scripts')))
+    .pipe(gulp.dest(configs.path('public.scripts')));
+});
+
+gulp.task('revision-manifest', (done) => {
+  revisioner.writeManifest(configs.option('revision.manifest'));
+  done();
+});
+
+gulp.task('revision', gulp.series(
+  'revision-assets',
+  gulp.parallel(
+    'revision-styles',
+    'revision-scripts'
+  ),
+  'revision-manifest'
+));
+
+/* define integrity tasks */
+
+const integrity = new AssetIntegrity(configs.option('revision.base'), configs.option('integrity.algorithm'), logger);
+
+gulp.task('integrity-hashes', () => {
+  return gulp
+    .src([
+      configs.path('public.styles', {post: '*.css'}),
+      configs.path('public.scripts', {post: '*.js'})
+    ])
+    .pipe(guard('integrity-hashes'))
+    .pipe(integrity.stream((file) => isFinalAsset(file.path), (name) => revisioner.original(name), logger.child('integrity-hashes')));
+});
+
+gulp.task('integrity-files', (done) => {
+  let log = logger.child('integrity-files');
+
+  integrity.writeJson(configs.option('integrity.json'), log);
+
+  if (configs.option('integrity.twig', {default: ''})) {
+    integrity.writeTwig(configs.option('integrity.twig'), configs.option('integrity.href'), configs.option('integrity.crossorigin'), scriptLoadOrder(), lazyScriptNames(), log);
+  }
+
+  done();
+});
+
+gulp.task('integrity', gulp.series(
+  'integrity-hashes',
+  'integrity-files'
+));
+
+/**
+ * Return the script file names in the order pages must load them: the vendor
+ * and common chunks, then the bundles (with their minified variants).
+ *
+ * @returns {Array}
+ */
+function scriptLoadOrder () {
+  let names = [configs.option('chunks.vendor'), configs.option('chunks.common')].concat(scriptBundleNames.map(function (b) {
+    return scriptBundles[b].output || b + '.js';
+  }));
+
+  return [].concat(...names.map((name) => [name, name.replace(/\.js$/, '.min.js')]));
+}
+
+/**
+ * Return the script file names of the split bundles (with their minified
+ * variants), which pages load lazily rather than through the Twig include.
+ *
+ * @returns {Array}
+ */
+function lazyScriptNames () {
+  let names = [].concat(...scriptBundleNames.map((b) => Object.keys(scriptBundles[b].split || {}).map((s) => splitOutput(b, s))));
+
+  return [].concat(...names.map((name) => [name, name.replace(/\.js$/, '.min.js')]));
+}
+
+/**
+ * Returns true if the public script or stylesheet is a final build output (not
+ * an intermediate bundle part, nor a variant superseded by the min or revision
+ * stages).
+ *
+ * @param {string} file
+ *
+ * @returns {Boolean}
+ */
+function isFinalAsset (file) {
+  let name = path.basename(file);
+
+  if (isIntermediateAsset(file)) {
+    return false;
+  }
+
+  if (configs.stage('minify') && name.indexOf('.min.') === -1) {
+    return false;
+  }
+
+  return !configs.stage('revision') || revisioner.isRevisioned(name);
+}
+
+/**
+ * Returns true if the public script is an intermediate bundle part (the core or
+ * plugins half that is concatenated into the complete bundle).
+ *
+ * @param {string} file
+ *
+ * @returns {Boolean}
+ */
+function isIntermediateAsset (file) {
+  return /-(core|plugins)(\.[0-9a-f]+)?\.js$/.test(path.basename(file));
+}
+
+/* define size report tasks */
+
+gulp.task('report-sizes', (done) => {
+  let log = logger.child('report-sizes');
+  let sizes = new SizeReporter(configs.path('public.root'), log);
+  let reportFile = configs.option('sizes.report');
+  let generated = [reportFile, configs.option('revision.manifest'), configs.option('integrity.json')].map((f) => path.resolve(f));
+  let files = glob.sync(configs.path('public.root', {post: '**/*'}), {
+    nodir: true,
+    ignore: ['**/*.map', '**/*.gz', '**/*.br']
+  }).filter((file) => !isIntermediateAsset(file) && generated.indexOf(path.resolve(file)) === -1);
+  let report = sizes.measure(files, sizes.read(reportFile));
+  let violations = sizes.checkBudgets(report, configs.map('options.sizes.budgets', {default: {}}));
+
+  sizes.log(report).write(reportFile, report);
+
+  violations.forEach((v) => log.error('Size budget exceeded: %s', v));
+
+  if (violations.length > 0) {
+    return done(new Error(violations.length + ' size budget(s) exceeded'));
+  }
+
+  done();
+});
+
+/* define compression tasks */
+
+gulp.task('compress', () => {
+  let types = configs.list('options.compress.extensions');
+  let compressor = new AssetCompressor(
+    configs.int('options.compress.gzip-level'),
+    configs.int('options.compress.brotli-level'),
+    configs.int('options.compress.min-size'),
+    logger.child('compress')
+  );
+
+  if (types.length === 0) {
+    throw new Error('No file extensions to compress are set in options.compress.extensions');
+  }
+
+  let extensions = types.length > 1 ? '*.{' + types.join(',') + '}' : '*.' + types[0];
+
+  return gulp
+    .src([
+      configs.path('public.styles', {post: extensions}),
+      configs.path('public.scripts', {post: extensions}),
+      configs.path('public.images', {post: '**/' + extensions}),
+      configs.path('public.fonts', {post: '**/' + extensions})
+    ], {
+      nodir: true
+    })
+    .pipe(guard('compress'))
+    .pipe(compressor.stream())
+    .pipe(gulp.dest((file) => file.base));
+});
+
 /* define top-level build tasks */
 
 gulp.task('build', gulp.series(
@@ -260,20 +1209,245 @@ gulp.task('build', gulp.series(
   gulp.parallel(
     'make',
     'assets'
-  )
+  ),
+  ...(configs.stage('revision') ? ['revision'] : []),
+  ...(configs.stage('integrity') ? ['integrity'] : []),
+  ...(configs.stage('compress') ? ['compress'] : []),
+  ...(configs.stage('sizes') ? ['report-sizes'] : [])
 ));
 
 /* define top-level watch tasks */
 
 gulp.task('watch', () => {
-  gulp.watch(configs.globs('tests.styles'), gulp.series(
+  startWatching();
+
+  watchFiles(configs.globs('tests.styles').concat(styleInputs), gulp.series(
     'tests-styles',
     'make-styles'
   ));
-  gulp.watch(configs.globs('tests.scripts'), gulp.series(
-    'tests-scripts',
-    'make-scripts'
+  watchFiles(configs.globs('tests.scripts'), gulp.series(
+    'tests-scripts'
   ));
+  watchFiles(configs.files('plugins.images', 'app.images'), gulp.series(
+    'assets-images',
+    reloadBrowser
+  ));
+  watchFiles(configs.files('plugins.fonts', 'app.fonts'), gulp.series(
+    'assets-fonts',
+    reloadBrowser
+  ));
+
+  for (let b of scriptBundleNames) {
+    watchScriptBundle(b);
+  }
+
+  for (let p of pluginBuildNames) {
+    watchFiles(pluginBuildDescs[p].watch || [], gulp.series(
+      'make-dependency-'+p
+    ));
+  }
+
+  if (serving) {
+    watchFiles(configs.list('options.serve.templates', {default: []}), reloadBrowser);
+  }
+
+  watchFiles(builder.files(), reloadConfig);
+});
+
+/**
+ * Switch to watch mode, dropping the bundlers created by earlier builds so the
+ * rebuilds use incremental ones.
+ */
+function startWatching () {
+  watching = true;
+  scriptBundlers = {};
+  splitBundler = null;
+}
+
+/**
+ * Watch the passed globs (if any) and run the task on change, debounced by the
+ * configured delay. A summary of still failing files and of the tasks run is
+ * logged after each run.
+ *
+ * @param {Array}    globs
+ * @param {Function} task
+ *
+ * @returns {FSWatcher|null}
+ */
+function watchFiles (globs, task) {
+  if (globs.length === 0) {
+    return null;
+  }
+
+  let watcher = gulp.watch(globs, {
+    delay: configs.int('options.watch.debounce', {
+      default: 200
+    })
+  }, gulp.series(task, summarizeFailures));
+
+  watcher.on('error', summarizeWatchRun);
+
+  return watcher;
+}
+
+/**
+ * Complete a successful watch run, then log its summary (which then includes
+ * this task as finished).
+ *
+ * @param {Function} done
+ */
+function summarizeFailures (done) {
+  done();
+  summarizeWatchRun();
+}
+
+/**
+ * Log a summary of the files still failing and of the tasks run after a watch
+ * run, resetting the task timings for the next one.
+ */
+function summarizeWatchRun () {
+  errors.summary();
+  printSummary();
+}
+
+/**
+ * Watch the sources and plugins of the named script bundle and rebuild only the
+ * affected part of it on change.
+ *
+ * @param {string} b
+ */
+function watchScriptBundle (b) {
+  watchFiles(scriptBundles[b].watch, gulp.series(
+    'make-scripts-'+b+'-core',
+    'make-scripts-'+b+'-all',
+    reloadBrowser
+  ));
+  watchFiles(scriptBundles[b].plugins || [], gulp.series(
+    'make-scripts-'+b+'-plugins',
+    'make-scripts-'+b+'-all',
+    reloadBrowser
+  ));
+}
+
+/**
+ * Reload the configuration files and clear the config and bundler caches. Tasks
+ * are not redefined, so a warning asks for a restart if the config they are
+ * defined from (bundles, stylesheets, files including the plugin builds, paths,
+ * stages or chunks) changed.
+ *
+ * @param {Function} done
+ */
+function reloadConfig (done) {
+  try {
+    builder.reload();
+    cache.salt = JSON.stringify(builder.configObject);
+    scriptBundlers = {};
+    splitBundler = null;
+  } catch (e) {
+    logger.error('Keeping previous configuration: %s', e.message);
+  }
+
+  if (describeTaskConfig() !== taskConfig) {
+    logger.warning('The bundles, stylesheets, files, paths, stages or chunks changed: restart gulp to apply them');
+  }
+
+  done();
+}
+
+/**
+ * Serialize the config sections tasks are defined from when the gulpfile loads.
+ *
+ * @returns {string}
+ */
+function describeTaskConfig () {
+  return JSON.stringify(['bundles', 'stylesheets', 'files', 'paths', 'options.stages', 'options.chunks'].map((index) => configs.get(index, {
+    default: null
+  })));
+}
+
+/* define development server tasks */
+
+gulp.task('serve-start', (done) => {
+  let proxy = configs.option('serve.proxy', {default: ''});
+
+  server.init(Object.assign({
+    host: configs.option('serve.host'),
+    port: configs.int('options.serve.port'),
+    open: configs.bool('options.serve.open', {default: false}),
+    logPrefix: pkg.name
+  }, proxy ? {proxy: proxy} : {
+    server: {
+      baseDir: configs.option('serve.root')
+    }
+  }), done);
+
+  serving = true;
+});
+
+gulp.task('serve', gulp.series(
+  gulp.parallel(
+    'make',
+    'assets'
+  ),
+  'serve-start',
+  'watch'
+));
+
+/**
+ * Create a stream that injects changed stylesheets into the served pages (a
+ * pass-through stream when not serving).
+ *
+ * @returns {Stream}
+ */
+function injectStyles () {
+  if (!serving) {
+    return through.obj();
+  }
+
+  return server.stream({
+    match: '**/*.css'
+  });
+}
+
+/**
+ * Fully reload the served pages (does nothing when not serving).
+ *
+ * @param {Function} done
+ */
+function reloadBrowser (done) {
+  if (serving) {
+    server.reload();
+  }
+
+  done();
+}
+
+/* define config introspection tasks */
+
+gulp.task('config:dump', (done) => {
+  process.stdout.write(inspect.dump(argv.format, argv.index) + '\n');
+  done();
+});
+
+gulp.task('config:get', (done) => {
+  if (!argv.index) {
+    return done(new Error('The config:get task requires an --index argument'));
+  }
+
+  process.stdout.write(inspect.get(argv.index, {
+    pre: argv.pre,
+    post: argv.post
+  }) + '\n');
+  done();
+});
+
+gulp.task('config:explain', (done) => {
+  if (!argv.index) {
+    return done(new Error('The config:explain task requires an --index argument'));
+  }
+
+  process.stdout.write(inspect.explain(argv.index) + '\n');
+  done();
 });
 
 /* define top-level default tasks */
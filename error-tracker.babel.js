@@ -0,0 +1,112 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import DefaultLogger from './default-logger.babel.js';
+
+export default class ErrorTracker {
+  /**
+   * Construct our instance by passing a DefaultLogger object.
+   *
+   * @param {DefaultLogger} logger
+   */
+  constructor (logger) {
+    this.logger = logger;
+    this.failures = [];
+  }
+
+  /**
+   * Create a stream error handler for the named task that logs and records the
+   * error, then ends the stream so a running watch is kept alive.
+   *
+   * @param {string} task
+   *
+   * @returns {Function}
+   */
+  handler (task) {
+    let tracker = this;
+
+    return function (err) {
+      tracker.record(task, err);
+
+      if (typeof this.emit === 'function') {
+        this.emit('end');
+      }
+    };
+  }
+
+  /**
+   * Log and record an error raised by the named task.
+   *
+   * @param {string} task
+   * @param {Error}  err
+   *
+   * @returns {ErrorTracker}
+   */
+  record (task, err) {
+    let failure = Object.assign({task: task}, DefaultLogger.describeError(err));
+
+    this.failures = this.failures.filter(function (f) {
+      return f.task !== failure.task || f.file !== failure.file;
+    }).concat(failure);
+
+    this.logger.child(task).error(err);
+
+    return this;
+  }
+
+  /**
+   * Forget the failures recorded for the named task (when it is run again).
+   *
+   * @param {string} task
+   *
+   * @returns {ErrorTracker}
+   */
+  clear (task) {
+    this.failures = this.failures.filter(function (f) {
+      return f.task !== task;
+    });
+
+    return this;
+  }
+
+  /**
+   * Returns true if failures are recorded for the named task (or any task).
+   *
+   * @param {string|null} task
+   *
+   * @returns {Boolean}
+   */
+  hasFailures (task = null) {
+    return this.failures.some(function (f) {
+      return task === null || f.task === task;
+    });
+  }
+
+  /**
+   * Log a summary of the failures still recorded.
+   *
+   * @returns {ErrorTracker}
+   */
+  summary () {
+    if (!this.hasFailures()) {
+      this.logger.info('All watched tasks completed without errors');
+      return this;
+    }
+
+    this.logger.warning('%d file(s) still failing:', this.failures.length);
+
+    this.failures.forEach(function (f) {
+      this.logger.warning('  %s (%s, task "%s")', f.location, f.plugin, f.task);
+    }.bind(this));
+
+    return this;
+  }
+}
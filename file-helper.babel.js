@@ -0,0 +1,103 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+export default class FileHelper {
+  /**
+   * Read and parse a JSON file, returning the fallback value if the file does
+   * not exist or cannot be parsed.
+   *
+   * @param {String} file
+   * @param {*}      fallback
+   *
+   * @return {*}
+   */
+  static readJson (file, fallback = {}) {
+    try {
+      return JSON.parse(fs.readFileSync(file, {
+        encoding: 'utf8'
+      }));
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a value as a pretty-printed JSON file, creating its parent directories
+   * if required.
+   *
+   * @param {String} file
+   * @param {*}      value
+   */
+  static writeJson (file, value) {
+    FileHelper.writeFile(file, JSON.stringify(value, null, 2) + '\n');
+  }
+
+  /**
+   * Write file contents, creating its parent directories if required.
+   *
+   * @param {String}        file
+   * @param {String|Buffer} contents
+   */
+  static writeFile (file, contents) {
+    FileHelper.createDirectory(path.dirname(path.resolve(file)));
+    fs.writeFileSync(file, contents);
+  }
+
+  /**
+   * Create a directory including its missing parents.
+   *
+   * @param {String} dir
+   */
+  static createDirectory (dir) {
+    dir = path.resolve(dir);
+
+    if (fs.existsSync(dir)) {
+      return;
+    }
+
+    FileHelper.createDirectory(path.dirname(dir));
+
+    try {
+      fs.mkdirSync(dir);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+  }
+
+  /**
+   * Return the path of a file relative to the root directory using forward
+   * slashes.
+   *
+   * @param {String} rootDir
+   * @param {String} file
+   *
+   * @return {String}
+   */
+  static relativePath (rootDir, file) {
+    return path.relative(path.resolve(rootDir), path.resolve(file)).split(path.sep).join('/');
+  }
+
+  /**
+   * Returns true if the runtime supports brotli compression, which was added to
+   * the zlib module in Node.js 11.7.
+   *
+   * @return {Boolean}
+   */
+  static isBrotliSupported () {
+    return typeof zlib.brotliCompressSync === 'function';
+  }
+}
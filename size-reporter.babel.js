@@ -0,0 +1,191 @@
+/*
+ * This file is part of the `src-run/srw-gulp` project.
+ *
+ * (c) Rob Frawley 2nd <rmf@src.run>
+ *
+ * For the full copyright and license information, please view the LICENSE.md
+ * file that was distributed with this source code.
+ */
+
+'use strict';
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import minimatch from 'minimatch';
+import FileHelper from './file-helper.babel.js';
+
+let sprintf = require('sprintf-js').sprintf;
+
+export default class SizeReporter {
+  /**
+   * Construct our instance by passing the directory recorded file names are
+   * relative to (and budget globs are matched against).
+   *
+   * @param {String}        rootDir
+   * @param {DefaultLogger} logger
+   */
+  constructor (rootDir, logger) {
+    this.rootDir = path.resolve(rootDir);
+    this.logger = logger;
+  }
+
+  /**
+   * Measure the raw, gzip and brotli sizes of the passed files, including the
+   * difference with the sizes recorded in the previous report (if any). Brotli
+   * sizes are null (with a warning) if the runtime lacks brotli support.
+   *
+   * @param {Array}  files
+   * @param {Object} previous
+   *
+   * @return {Object}
+   */
+  measure (files, previous = {}) {
+    if (!FileHelper.isBrotliSupported()) {
+      this.logger.warning('Brotli is not supported by the running Node.js %s; brotli budgets are not checked', process.version);
+    }
+
+    return files.sort().reduce(function (report, file) {
+      let name = FileHelper.relativePath(this.rootDir, file);
+      let contents = fs.readFileSync(file);
+      let sizes = {
+        raw: contents.length,
+        gzip: zlib.gzipSync(contents, {level: 9}).length,
+        brotli: FileHelper.isBrotliSupported() ? zlib.brotliCompressSync(contents).length : null
+      };
+
+      sizes.delta = previous[name] ? sizes.gzip - previous[name].gzip : null;
+      report[name] = sizes;
+
+      return report;
+    }.bind(this), {});
+  }
+
+  /**
+   * Check the measured sizes against budgets given as a map of globs to maximum
+   * raw, gzip and/or brotli sizes (in bytes or as strings such as "150 kB").
+   * Returns a description of each exceeded budget.
+   *
+   * @param {Object} report
+   * @param {Object} budgets
+   *
+   * @return {Array}
+   */
+  checkBudgets (report, budgets) {
+    let violations = [];
+
+    Object.keys(budgets).forEach(function (pattern) {
+      Object.keys(report).filter((name) => minimatch(name, pattern)).forEach(function (name) {
+        Object.keys(budgets[pattern]).forEach(function (type) {
+          let limit = this::parseSize(budgets[pattern][type]);
+
+          if (report[name][type] !== null && report[name][type] > limit) {
+            violations.push(sprintf('%s: %s size %s exceeds budget of %s (%s)', name, type,
+              this::formatSize(report[name][type]), this::formatSize(limit), pattern));
+          }
+        }.bind(this));
+      }.bind(this));
+    }.bind(this));
+
+    return violations;
+  }
+
+  /**
+   * Log the report as a table.
+   *
+   * @param {Object} report
+   *
+   * @return {SizeReporter}
+   */
+  log (report) {
+    let names = Object.keys(report);
+    let width = names.reduce((w, n) => Math.max(w, n.length), 4);
+    let row = '%-' + width + 's %10s %10s %10s %10s';
+
+    this.logger.info(row, 'File', 'Raw', 'Gzip', 'Brotli', 'Gzip diff');
+
+    names.forEach(function (n) {
+      let r = report[n];
+
+      this.logger.info(row, n, this::formatSize(r.raw), this::formatSize(r.gzip), this::formatSize(r.brotli), this::formatDelta(r.delta));
+    }.bind(this));
+
+    return this;
+  }
+
+  /**
+   * Read a previously written report, returning an empty one if unavailable.
+   *
+   * @param {String} file
+   *
+   * @return {Object}
+   */
+  read (file) {
+    return FileHelper.readJson(file);
+  }
+
+  /**
+   * Write the report as JSON.
+   *
+   * @param {String} file
+   * @param {Object} report
+   *
+   * @return {SizeReporter}
+   */
+  write (file, report) {
+    FileHelper.writeJson(file, report);
+
+    return this;
+  }
+}
+
+/**
+ * Parse a size given in bytes or as a string with a B, kB or MB unit.
+ *
+ * @param {Number|String} size
+ *
+ * @return {Number}
+ */
+function parseSize (size) {
+  let match = /^\s*([\d.]+)\s*(b|kb|mb)?\s*$/i.exec(String(size));
+
+  if (!match) {
+    throw new Error('Invalid size budget "' + size + '"');
+  }
+
+  return Math.round(parseFloat(match[1]) * ({b: 1, kb: 1024, mb: 1048576})[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Format a size in bytes for display.
+ *
+ * @param {Number|null} size
+ *
+ * @return {String}
+ */
+function formatSize (size) {
+  if (size === null) {
+    return 'n/a';
+  }
+
+  if (size < 1024) {
+    return size + ' B';
+  }
+
+  return size < 1048576 ? sprintf('%.1f kB', size / 1024) : sprintf('%.2f MB', size / 1048576);
+}
+
+/**
+ * Format a size difference for display.
+ *
+ * @param {Number|null} delta
+ *
+ * @return {String}
+ */
+function formatDelta (delta) {
+  if (delta === null) {
+    return 'new';
+  }
+
+  return (delta > 0 ? '+' : delta < 0 ? '-' : '') + this::formatSize(Math.abs(delta));
+}